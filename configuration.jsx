@@ -0,0 +1,306 @@
+﻿/**
+ * @class
+ * @name Settings
+ * @desc Settings come in layers. From lowest to highest precedence:
+ * 
+ * 1. the defaults from the schemas that Extendables and its packages declare
+ * 2. ``settings.jsx`` in the Extendables folder
+ * 3. project-specific settings, in a ``settings.jsx`` file in the folder that contains Extendables
+ * 4. user settings, in ``Extendables/settings.jsx`` in your user data folder (``Folder.userData``)
+ * 5. runtime overrides, using :func:`Settings#set`
+ * 
+ * A settings file only needs to contain the settings it changes.
+ * The merged result is available as properties on the global ``settings`` object, 
+ * e.g. ``settings.strict_imports``, but the typed getters are safer.
+ *
+ * Packages declare the settings they use, with their type and default, 
+ * in a ``settings`` section in their ``package.json`` manifest, e.g.
+ *
+ *     "settings": {
+ *         "LOGGING_LOG_LEVEL": {"type": "number", "default": 4, "description": "..."}
+ *     }
+ *
+ * Available types are ``boolean``, ``number``, ``string``, ``array``, ``object``, 
+ * ``folder`` and ``file``. Folders and files may be specified as paths, and 
+ * paths that start with a dot are relative to the Extendables folder. 
+ * A setting can also list ``choices``: values that are valid even though 
+ * they're not of the right type, like names for numbers.
+ */
+
+var SettingsError = Error.factory("SettingsError");
+
+function Settings () {
+	var self = this;
+	var LAYERS = ['defaults', 'project', 'user', 'runtime'];
+	var layers = {};
+	LAYERS.forEach(function (layer) {
+		layers[layer] = {};
+	});
+	var schema = {};
+	// what we last put onto this object, so we can tell 
+	// when somebody assigns to a setting directly
+	var applied = {};
+
+	function each (obj, fn) {
+		for (var key in obj) {
+			if (obj.hasOwnProperty(key) && !(obj[key] instanceof Function)) fn(key, obj[key]);
+		}
+	}
+
+	function apply () {
+		// ``settings.key = value`` works just like ``settings.set(key, value)``
+		var current = {};
+		each(self, function (key, value) {
+			current[key] = value;
+		});
+		each(current, function (key, value) {
+			if (!applied.hasOwnProperty(key) || applied[key] !== value) layers.runtime[key] = value;
+			delete self[key];
+		});
+		applied = {};
+		each(schema, function (key, definition) {
+			if (definition.hasOwnProperty('default')) applied[key] = definition['default'];
+		});
+		LAYERS.forEach(function (layer) {
+			each(layers[layer], function (key, value) {
+				applied[key] = value;
+			});
+		});
+		each(applied, function (key, value) {
+			self[key] = value;
+		});
+	}
+
+	function type_of (value) {
+		if (value === null || value === undefined) return String(value);
+		if (value instanceof Array) return 'array';
+		if (value instanceof Folder) return 'folder';
+		if (value instanceof File) return 'file';
+		return typeof value;
+	}
+
+	function matches (value, type) {
+		switch (type) {
+			case 'number':
+				return typeof value == 'number' && !isNaN(value);
+			case 'object':
+				return type_of(value) == 'object';
+			case 'folder':
+			case 'file':
+				return typeof value == 'string' || type_of(value) == type;
+			default:
+				return type_of(value) == type;
+		}
+	}
+
+	/**
+	 * @desc Reads a settings file into one of the layers, replacing whatever 
+	 * was in that layer before. Settings files are plain ExtendScript that 
+	 * assign to ``settings``, e.g. ``settings.strict_imports = true;``
+	 * @param {String} layer ``defaults``, ``project`` or ``user``
+	 * @param {File} file
+	 * @returns {Bool} Whether the file exists.
+	 */
+	this.load = function (layer, file) {
+		if (!layers.hasOwnProperty(layer)) throw new SettingsError("There's no settings layer called {}".format(layer));
+		apply();
+		if (!file.exists) return false;
+		layers[layer] = _read_settings(file);
+		apply();
+		return true;
+	}
+
+	/**
+	 * @desc Overrides a setting (or, when passed an object, multiple settings) 
+	 * for as long as the engine runs. Runtime overrides take precedence over 
+	 * all settings files.
+	 * @param {String|Object} key
+	 * @param [value]
+	 */
+	this.set = function (key, value) {
+		apply();
+		if (key.is(String)) {
+			layers.runtime[key] = value;
+		} else {
+			each(key, function (name, value) {
+				layers.runtime[name] = value;
+			});
+		}
+		apply();
+	}
+
+	/**
+	 * @desc Removes a runtime override, so the setting falls back to what 
+	 * the settings files or the schema say.
+	 * @param {String} key
+	 */
+	this.unset = function (key) {
+		apply();
+		delete layers.runtime[key];
+		apply();
+	}
+
+	// whether a value is valid for a setting, either because it has 
+	// the right type or because it's one of the choices
+	function valid (value, definition) {
+		return matches(value, definition.type) || (definition.choices || []).contains(value);
+	}
+
+	function expected (definition) {
+		if (!definition.choices) return definition.type;
+		return "{} or one of {}".format(definition.type, definition.choices.join(", "));
+	}
+
+	/**
+	 * @desc Adds the definitions of a number of settings to the schema, 
+	 * so they can be validated and get their default value.
+	 * @param {Object} definitions An object with a ``type``, and optionally 
+	 * a ``default``, a ``description`` and a list of other valid values, 
+	 * the ``choices``, for each setting.
+	 * @param {String} [owner="extendables"] The package the settings belong to.
+	 */
+	this.declare = function (definitions, owner) {
+		apply();
+		each(definitions || {}, function (key, definition) {
+			schema[key] = {'owner': owner || 'extendables'}.merge(definition);
+		});
+		apply();
+	}
+
+	/**
+	 * @desc Which layer a setting comes from: ``defaults``, ``project``, ``user``, 
+	 * ``runtime``, or ``schema`` if nothing overrides the default in the schema.
+	 * @param {String} key
+	 * @returns {String|null}
+	 */
+	this.source = function (key) {
+		apply();
+		var source = schema.hasOwnProperty(key) && schema[key].hasOwnProperty('default') ? 'schema' : null;
+		LAYERS.forEach(function (layer) {
+			if (layers[layer].hasOwnProperty(key)) source = layer;
+		});
+		return source;
+	}
+
+	/**
+	 * @desc The definitions of all known settings, keyed by name.
+	 * @returns {Object}
+	 */
+	this.get_schema = function () {
+		return schema.clone();
+	}
+
+	/**
+	 * @desc Gets the value of a setting. Folder and file settings 
+	 * come back as ``Folder`` and ``File`` objects.
+	 * @param {String} key
+	 * @param [fallback] What to return if the setting has no value.
+	 */
+	this.get = function (key, fallback) {
+		apply();
+		var value = applied[key];
+		if (value === undefined || value === null) return fallback;
+		var type = schema.hasOwnProperty(key) ? schema[key].type : null;
+		if ((type == 'folder' || type == 'file') && typeof value == 'string') {
+			value = _to_path(value, type == 'folder' ? Folder : File);
+		}
+		return value;
+	}
+
+	function typed (type) {
+		return function (key, fallback) {
+			var value = self.get(key);
+			if (value === undefined || value === null) return fallback;
+			if (type == 'folder' || type == 'file') {
+				if (typeof value == 'string') value = _to_path(value, type == 'folder' ? Folder : File);
+			} else if (type == 'number' && typeof value == 'string' && value.length && !isNaN(value)) {
+				value = Number(value);
+			} else if (type == 'boolean' && (value === 'true' || value === 'false')) {
+				value = value === 'true';
+			}
+			if (!matches(value, type)) {
+				throw new SettingsError("Setting {} should be a {}, not a {}".format(key, type, type_of(value)));
+			}
+			return value;
+		}
+	}
+
+	/**
+	 * @function
+	 * @desc Typed getters, one for every type: ``get_boolean``, ``get_number``, 
+	 * ``get_string``, ``get_array``, ``get_object``, ``get_folder`` and ``get_file``.
+	 * Numbers and booleans may also be specified as strings. 
+	 * Raise a ``SettingsError`` when the setting has the wrong type.
+	 * @param {String} key
+	 * @param [fallback] What to return if the setting has no value.
+	 */
+	this.get_boolean = typed('boolean');
+	this.get_number = typed('number');
+	this.get_string = typed('string');
+	this.get_array = typed('array');
+	this.get_object = typed('object');
+	this.get_folder = typed('folder');
+	this.get_file = typed('file');
+
+	/**
+	 * @desc Checks every layer against the schema.
+	 * @returns {Object} A report with an ``unknown`` list of settings that aren't in 
+	 * the schema, a ``mistyped`` list of settings with the wrong type (each with 
+	 * a ``key``, the ``layer`` it's in, the ``expected`` and the ``actual`` type), 
+	 * human-readable ``messages`` about both and whether the settings are ``valid``.
+	 */
+	this.validate = function () {
+		apply();
+		var report = {'unknown': [], 'mistyped': [], 'messages': []};
+		LAYERS.forEach(function (layer) {
+			each(layers[layer], function (key, value) {
+				if (!schema.hasOwnProperty(key)) {
+					if (!report.unknown.contains(key)) {
+						report.unknown.push(key);
+						report.messages.push("Unknown setting {} in the {} settings".format(key, layer));
+					}
+				} else if (!valid(value, schema[key])) {
+					report.mistyped.push({
+						'key': key, 
+						'layer': layer, 
+						'expected': schema[key].type, 
+						'actual': type_of(value)
+					});
+					report.messages.push("Setting {} in the {} settings should be a {}, not a {}".format(
+						key, layer, expected(schema[key]), type_of(value)));
+				}
+			});
+		});
+		report.valid = report.messages.length == 0;
+		return report;
+	}
+}
+
+// Strings that start with a dot are relative to the Extendables folder.
+function _to_path (path, type) {
+	if (path.startswith(".")) {
+		return new type(path).at(Folder.extendables);
+	} else {
+		return new type(path);
+	}
+}
+
+// A settings file assigns to ``settings``, which inside of 
+// this function is a blank slate rather than the global settings.
+function _read_settings (file) {
+	var settings = {};
+	$.evalFile(file);
+	return settings;
+}
+
+var settings = new Settings();
+
+settings.declare({
+	'package_directories': {'type': 'array', 'description': "Where to look for packages, in order of precedence."},
+	'allow_circular_imports': {'type': 'boolean', 'default': true, 
+		'description': "Whether modules that require each other get each other's partially loaded exports, rather than an ImportError."},
+	'strict_imports': {'type': 'boolean', 'default': false, 
+		'description': "Whether require raises an ImportError for modules that throw an error while loading."},
+	'strict_dependencies': {'type': 'boolean', 'default': false, 
+		'description': "Whether packages with unmet dependencies refuse to load."}
+});
\ No newline at end of file
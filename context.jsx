@@ -1,29 +1,177 @@
 ﻿/**
- * @param {String} item Can be any one of ``window``, ``doc``, ``page`` or ``spread``.
+ * @desc Gets at whatever the user is working on in the host app. 
+ * Works in InDesign, Photoshop and Illustrator.
+ * Items a host app doesn't have, like pages in Photoshop, 
+ * or that aren't there, like a story when no text is selected, are ``undefined``, 
+ * except for the selection, which is an empty array when there's nothing to select. 
+ * The selection is always an array: in Photoshop, it holds the document's single 
+ * ``Selection`` object, if anything is selected.
+ *
+ * @param {String} item Can be any one of ``window``, ``document``, ``page``, ``spread``, 
+ * ``layer``, ``selection``, ``story`` or ``insertion_point``.
+ * @param {Application} [application=app] The host app. You'll only ever need this for testing.
+ *
+ * @example
+ *     current('page').textFrames.add();
+ *     current('insertion_point').contents = "Hello";
  */
 
-// refactor: should pay mind to how InDesign-tied this implementation is,
-// probably needs a variant for every CS application
+function current (item, application) {
+	var application = application || app;
+	if (item == 'doc') item = 'document';
+	if (!current.items.contains(item)) {
+		throw new RangeError("current() knows about {}, not {}".format(current.items.join(", "), item));
+	}
 
-function current (item) {
-	var items = {
-		'window': app.layoutWindows.item(0),
-		'document': undefined,
-		'page': undefined,
-		'spread': undefined
+	var adapter = current.adapters[_current_host(application)];
+	if (!adapter) {
+		throw new NotImplementedError("current() doesn't work in {}".format(application.name));
+	}
+	if (item in adapter) {
+		return adapter[item](application);
+	} else {
+		return undefined;
 	}
+}
 
-	if (app.documents.length) {
-		items.merge({
-			'document': app.documents.item(0),
-			'page': app.documents.item(0).pages.item(0),
-			'spread': app.documents.item(0).spreads.item(0)
-		});
+current.items = ['window', 'document', 'page', 'spread', 'layer', 'selection', 'story', 'insertion_point'];
+
+function _current_host (application) {
+	var name = application.name.toLowerCase();
+	var hosts = current.adapters.keys();
+	for (var i = 0; i < hosts.length; i++) {
+		if (name.contains(hosts[i])) return hosts[i];
 	}
+	return null;
+}
 
-	if (item in items) {
-		return items[item];		
-	} else {
-		throw RangeError();
+// The DOM class of an object: InDesign objects know their constructor, 
+// Photoshop and Illustrator objects have a ``typename``.
+function _current_kind (obj) {
+	if (obj === undefined || obj === null) return null;
+	return obj.typename || obj.constructor.name;
+}
+
+var _INDESIGN_TEXT = ['InsertionPoint', 'Character', 'Word', 'Line', 'Paragraph', 'TextColumn', 
+	'TextStyleRange', 'Text', 'Story'];
+
+/**
+ * @desc The code that finds the current window, document, page et cetera, for each 
+ * host app, keyed by a (lowercase) part of the application name. Each adapter has 
+ * a function for every item the host app supports, which gets passed the host app.
+ * Add an adapter to make ``current()`` work in another app.
+ */
+
+current.adapters = {
+	'indesign': {
+		'window': function (app) {
+			if (!app.layoutWindows.length) return undefined;
+			// story editor windows don't have pages
+			var window = app.activeWindow;
+			return _current_kind(window) == 'LayoutWindow' ? window : app.layoutWindows.item(0);
+		},
+		'document': function (app) {
+			return app.documents.length ? app.activeDocument : undefined;
+		},
+		'page': function (app) {
+			var window = current('window', app);
+			return window ? window.activePage : undefined;
+		},
+		'spread': function (app) {
+			var window = current('window', app);
+			return window ? window.activeSpread : undefined;
+		},
+		'layer': function (app) {
+			var document = current('document', app);
+			return document ? document.activeLayer : undefined;
+		},
+		'selection': function (app) {
+			return app.documents.length ? app.selection : [];
+		},
+		'story': function (app) {
+			var selected = current('selection', app)[0];
+			if (!selected) return undefined;
+			var kind = _current_kind(selected);
+			if (_INDESIGN_TEXT.contains(kind) || kind == 'TextFrame') {
+				return selected.parentStory;
+			}
+			return undefined;
+		},
+		'insertion_point': function (app) {
+			var selected = current('selection', app)[0];
+			var kind = _current_kind(selected);
+			if (kind == 'InsertionPoint') {
+				return selected;
+			} else if (_INDESIGN_TEXT.contains(kind)) {
+				return selected.insertionPoints.item(0);
+			}
+			return undefined;
+		}
+	},
+	'photoshop': {
+		'document': function (app) {
+			return app.documents.length ? app.activeDocument : undefined;
+		},
+		'layer': function (app) {
+			var document = current('document', app);
+			return document ? document.activeLayer : undefined;
+		},
+		// Photoshop always has a selection object, but it 
+		// has no bounds when nothing is selected
+		'selection': function (app) {
+			var document = current('document', app);
+			if (!document) return [];
+			try {
+				document.selection.bounds;
+				return [document.selection];
+			} catch (error) {
+				return [];
+			}
+		},
+		// the text item of the active layer, if it's a text layer
+		'story': function (app) {
+			var layer = current('layer', app);
+			if (layer && _current_kind(layer) == 'ArtLayer' && String(layer.kind) == 'LayerKind.TEXT') {
+				return layer.textItem;
+			}
+			return undefined;
+		}
+	},
+	'illustrator': {
+		'window': function (app) {
+			var document = current('document', app);
+			return document ? document.activeView : undefined;
+		},
+		'document': function (app) {
+			return app.documents.length ? app.activeDocument : undefined;
+		},
+		// Illustrator's closest equivalent to a page is the active artboard
+		'page': function (app) {
+			var document = current('document', app);
+			if (!document) return undefined;
+			return document.artboards[document.artboards.getActiveArtboardIndex()];
+		},
+		'layer': function (app) {
+			var document = current('document', app);
+			return document ? document.activeLayer : undefined;
+		},
+		'selection': function (app) {
+			var document = current('document', app);
+			return document ? document.selection : [];
+		},
+		'story': function (app) {
+			var selection = current('selection', app);
+			// while editing text, the selection is a text range instead of an array
+			if (_current_kind(selection) == 'TextRange') return selection.story;
+			if (selection && _current_kind(selection[0]) == 'TextFrame') return selection[0].story;
+			return undefined;
+		},
+		'insertion_point': function (app) {
+			var selection = current('selection', app);
+			if (_current_kind(selection) == 'TextRange') {
+				return selection.insertionPoints[0];
+			}
+			return undefined;
+		}
 	}
 }
\ No newline at end of file
@@ -10,9 +10,10 @@ exports.del = del;
 exports.has_internet_access = has_internet_access;
 exports.HTTPError = HTTPError;
 exports.HTTPRequest = HTTPRequest;
+exports.HTTPResponse = HTTPResponse;
 
 // imports
-var url = exports.url = require("http/url");
+var url = exports.url = require("./url");
 var ByteString = require("io/octals").ByteString;
 
 // definitions
@@ -209,7 +210,7 @@ function HTTPRequest (method, url, timeout) {
 	/** @desc The resource to request */
 	this.url = function (url) {
 		if (url) {
-			this._url = require("http/url").parse(url);
+			this._url = require("./url").parse(url);
 			this.header("Host", this._url.host);
 		} else {
 			return this._url;
@@ -478,7 +479,9 @@ function HTTPResponse (method, encoding, request) {
 		var raw_head = this._parts.join('').split('\n\n', 1)[0].split('\n');
 		var raw_headers = raw_head.slice(1).join('\n');
 		this.status = raw_head[0].split(' ')[1].to('int');
-		this.headers = raw_headers.deserialize('key-value', {'separator': ': ', 'eol': '\n'});
+		// header values can contain colons too, like in ``Location: http://example.org:8080/``, 
+		// and the space after the colon is optional
+		this.headers = raw_headers.deserialize('key-value', {'separator': ':', 'eol': '\n', 'trim': true});
 		// flagging chunked responses
 		if (this.headers["Transfer-Encoding"] && this.headers["Transfer-Encoding"] == "chunked") {
 			this._chunked = true;
@@ -0,0 +1,298 @@
+﻿/*
+ * Installs packages into a site-packages folder, from a package folder or 
+ * a zip archive, and keeps a record of what it installed so packages 
+ * can be listed and uninstalled later on.
+ */
+
+// exports
+exports.install = install;
+exports.uninstall = uninstall;
+exports.list = list;
+
+// imports
+var ZipArchive = require("./zip").ZipArchive;
+var Store = require("persistence").Store;
+var logging = require("logging");
+
+// definitions
+var InstallError = exports.InstallError = Error.factory("InstallError");
+var syslog = new logging.Log("extendables.log");
+
+function _get_directory (options) {
+	var directory = _to_folder(options.directory || "./site-packages");
+	if (!directory.exists) directory.create();
+	return directory;
+}
+
+// the install record lives next to the packages it describes
+function _get_record (directory) {
+	var record = new Store(new File("installed.json").at(directory).absoluteURI);
+	if (!record.data.packages) record.data.packages = {};
+	return record;
+}
+
+function _copy (source, target) {
+	if (!target.create()) {
+		throw new IOError("Couldn't create {}".format(File.decode(target.absoluteURI)));
+	}
+	source.getFiles().forEach(function (file_or_folder) {
+		if (file_or_folder.is(Folder)) {
+			_copy(file_or_folder, new Folder(file_or_folder.name).at(target));
+		} else {
+			var destination = new File(file_or_folder.name).at(target);
+			if (!file_or_folder.copy(destination)) {
+				throw new IOError("Couldn't copy {}".format(File.decode(file_or_folder.absoluteURI)));
+			}
+		}
+	});
+}
+
+function _remove (folder) {
+	folder.getFiles().forEach(function (file_or_folder) {
+		if (file_or_folder.is(Folder)) {
+			_remove(file_or_folder);
+		} else {
+			file_or_folder.remove();
+		}
+	});
+	return folder.remove();
+}
+
+// An archive either contains the package folder, 
+// or the contents of the package folder.
+function _find_package (folder) {
+	var contents = folder.getFiles();
+	if (contents.length == 1 && contents[0].is(Folder)) {
+		return contents[0];
+	} else {
+		return folder;
+	}
+}
+
+// installed packages that would no longer find a version of ``name`` they can work with
+function _get_dependents (name, version) {
+	return __modules__.values().filter(function (module) {
+		var dependencies = module.manifest.dependencies;
+		if (module.id == name || !dependencies.hasOwnProperty(name)) return false;
+		return version === undefined || !_satisfies_range(version, dependencies[name]);
+	}).map(function (module) {
+		return module.id;
+	});
+}
+
+// Makes a freshly installed package available to ``require``, 
+// taking into account where its directory sits on the search path.
+function _register (target, directory) {
+	var module = new Module(target, true);
+	module.directory = directory.absoluteURI;
+	var existing = __modules__[module.id];
+	if (!existing) {
+		__modules__[module.id] = module;
+		return;
+	}
+
+	var paths = require.paths().map(function (folder) {
+		return folder.absoluteURI;
+	});
+	var precedence = paths.indexOf(module.directory);
+	if (existing.uri == module.uri) {
+		module.shadows = existing.shadows;
+	} else if (precedence != -1 && (paths.indexOf(existing.directory) == -1 || precedence < paths.indexOf(existing.directory))) {
+		module.shadows = [existing.uri].concat(existing.shadows);
+	} else {
+		existing.shadows.push(module.uri);
+		syslog.warning("Package {} in {} is shadowed by the package with the same name in {}", 
+			module.id, module.directory, existing.directory);
+		return;
+	}
+	__modules__[module.id] = module;
+	// modules that required the old package should pick up the new one
+	try {
+		_invalidate([existing.get_main()]);
+	} catch (error) {
+		// the old package has no main module
+	}
+}
+
+/**
+ * @desc Installs a package into a site-packages folder. Before copying anything, 
+ * the installer checks whether the dependencies and supported host apps in the 
+ * package manifest are satisfied by the packages that are already installed, 
+ * and whether the new version would break any installed packages that depend on it.
+ * 
+ * If copying fails halfway, the installer removes whatever it copied and 
+ * puts back the previously installed version, if there was one.
+ *
+ * @param {String|File|Folder} source A package folder, or a zip archive of one.
+ * @param {Object} [options]
+ * @param {String|Folder} [options.directory="./site-packages"] Where to install the package. 
+ *     Like ``settings.package_directories``, paths that start with a dot are relative to the 
+ *     Extendables folder.
+ * @param {Boolean} [options.upgrade=false] Replace a package with the same name 
+ *     that's already installed in ``directory``.
+ * @param {Boolean} [options.force=false] Install the package even if its dependencies aren't met.
+ * @returns {Object} The install record for the package.
+ *
+ * @example
+ *     var installer = require("installer");
+ *     installer.install("~/Downloads/mypackage-1.0.zip");
+ *     installer.install("~/Downloads/mypackage-1.1.zip", {'upgrade': true});
+ */
+
+function install (source, options) {
+	var options = options || {};
+	if (source.is(String)) {
+		source = source.endswith(".zip") ? new File(source) : new Folder(source);
+	}
+	if (!source.exists) {
+		throw new InstallError("Can't find {}".format(File.decode(source.absoluteURI)));
+	}
+	var directory = _get_directory(options);
+
+	var staging = null;
+	if (source.is(File)) {
+		staging = new Folder("extendables-install-" + new Date().getTime()).at(Folder.temp);
+		staging.create();
+	}
+
+	try {
+		if (staging) new ZipArchive(source).extract(staging);
+		var folder = staging ? _find_package(staging) : source;
+		var pkg = new Module(folder, true);
+		var name = pkg.manifest.name;
+		if (folder == staging && name == pkg.id) {
+			throw new InstallError("{} has no package.json manifest that names the package".format(source.name));
+		}
+		if (!pkg.submodules.hasOwnProperty('index')) {
+			throw new InstallError("{} is not a package: it has no lib/index.jsx".format(name));
+		}
+
+		if (!options.force) {
+			var unmet = pkg.get_unmet_dependencies();
+			if (unmet.length) {
+				throw new InstallError("Can't install {}: it {}".format(name, unmet.join("; ")));
+			}
+			var dependents = _get_dependents(name, pkg.manifest.version);
+			if (dependents.length) {
+				throw new InstallError("Can't install {} {}: {} depend on another version".format(
+					name, pkg.manifest.version, dependents.join(", ")));
+			}
+		}
+
+		var target = new Folder(name).at(directory);
+		var backup = null;
+		if (target.exists) {
+			if (!options.upgrade) {
+				throw new InstallError("{} is already installed in {}".format(name, File.decode(directory.absoluteURI)));
+			}
+			// keep the installed version around until the new one is in place
+			backup = new Folder(target.absoluteURI);
+			if (!backup.rename(name + "-backup-" + new Date().getTime())) {
+				throw new InstallError("Couldn't move the installed version of {} out of the way".format(name));
+			}
+		}
+
+		try {
+			_copy(folder, target);
+		} catch (error) {
+			if (target.exists) _remove(target);
+			if (backup) backup.rename(name);
+			throw new InstallError("Couldn't install {}, rolled back all changes: {}".format(name, error.description || error));
+		}
+		if (backup) _remove(backup);
+	} finally {
+		if (staging) _remove(staging);
+	}
+
+	var record = _get_record(directory);
+	record.data.packages[name] = {
+		'name': name,
+		'version': pkg.manifest.version,
+		'description': pkg.manifest.description,
+		'source': File.decode(source.absoluteURI),
+		'installed': new Date().toUTCString(),
+		'uri': target.absoluteURI
+	};
+	record.save();
+
+	_register(target, directory);
+	syslog.info("Installed {} {} into {}", name, pkg.manifest.version, File.decode(directory.absoluteURI));
+	return record.data.packages[name];
+}
+
+/**
+ * @desc Removes a package the installer installed. If another folder on the 
+ * search path has a package with the same name, that package takes its place.
+ * 
+ * @param {String} name
+ * @param {Object} [options]
+ * @param {String|Folder} [options.directory="./site-packages"]
+ * @param {Boolean} [options.force=false] Uninstall the package even if other packages depend on it.
+ */
+
+function uninstall (name, options) {
+	var options = options || {};
+	var directory = _get_directory(options);
+	var record = _get_record(directory);
+	if (!record.data.packages.hasOwnProperty(name)) {
+		throw new InstallError("{} was not installed into {} by the installer".format(name, File.decode(directory.absoluteURI)));
+	}
+
+	var target = new Folder(name).at(directory);
+	var module = __modules__[name];
+	var replaces = module && module.uri == target.absoluteURI;
+	if (!options.force && replaces && !module.shadows.length) {
+		var dependents = _get_dependents(name);
+		if (dependents.length) {
+			throw new InstallError("Can't uninstall {}: {} depend on it".format(name, dependents.join(", ")));
+		}
+	}
+
+	// moving the package out of the way first means we 
+	// never leave a half-deleted package behind
+	if (target.exists) {
+		if (!target.rename(name + "-uninstalled-" + new Date().getTime())) {
+			throw new InstallError("Couldn't remove {}".format(name));
+		}
+		_remove(target);
+	}
+	delete record.data.packages[name];
+	record.save();
+
+	if (replaces) {
+		delete __modules__[name];
+		if (module.shadows.length) {
+			var shadowed = new Folder(module.shadows[0]);
+			var fallback = new Module(shadowed, true);
+			fallback.directory = shadowed.parent.absoluteURI;
+			fallback.shadows = module.shadows.slice(1);
+			__modules__[name] = fallback;
+		}
+		try {
+			_invalidate([module.get_main()]);
+		} catch (error) {
+			// the package had no main module
+		}
+	} else if (module) {
+		module.shadows = module.shadows.reject(function (uri) {
+			return uri == target.absoluteURI;
+		});
+	}
+	syslog.info("Uninstalled {} from {}", name, File.decode(directory.absoluteURI));
+}
+
+/**
+ * @desc The packages the installer installed into a site-packages folder, 
+ * with their ``name``, ``version``, ``description``, the ``source`` they 
+ * were installed from, when they were ``installed`` and their ``uri``.
+ * @param {Object} [options]
+ * @param {String|Folder} [options.directory="./site-packages"]
+ * @returns {Object[]}
+ */
+
+function list (options) {
+	var packages = _get_record(_get_directory(options || {})).data.packages;
+	return packages.keys().sort().map(function (name) {
+		return packages[name];
+	});
+}
\ No newline at end of file
@@ -0,0 +1,303 @@
+﻿exports.ZipArchive = ZipArchive;
+exports.inflate = inflate;
+
+/*
+ * ExtendScript can't shell out to ``unzip`` in every host app, 
+ * so this is a small zip reader with a DEFLATE decoder, 
+ * loosely modelled after Mark Adler's ``puff``.
+ * Strings of bytes are ordinary strings with one character per byte, 
+ * which is what you get when reading a file with the BINARY encoding.
+ */
+
+var LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 
+	35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+var LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 
+	3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+var DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 
+	257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+var DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 
+	7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+var CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// canonical Huffman code, as the number of codes of each length 
+// and the symbols ordered by code
+function Huffman (lengths) {
+	this.counts = [];
+	this.symbols = [];
+	var offsets = [0, 0];
+	for (var length = 0; length <= 15; length++) this.counts[length] = 0;
+	for (var symbol = 0; symbol < lengths.length; symbol++) this.counts[lengths[symbol]]++;
+	for (var length = 1; length < 15; length++) {
+		offsets[length + 1] = offsets[length] + this.counts[length];
+	}
+	for (var symbol = 0; symbol < lengths.length; symbol++) {
+		if (lengths[symbol]) this.symbols[offsets[lengths[symbol]]++] = symbol;
+	}
+}
+
+function _fill (length, value) {
+	var values = [];
+	for (var i = 0; i < length; i++) values.push(value);
+	return values;
+}
+
+var FIXED_LITERALS = new Huffman([].concat(_fill(144, 8), _fill(112, 9), _fill(24, 7), _fill(8, 8)));
+var FIXED_DISTANCES = new Huffman(_fill(30, 5));
+
+/**
+ * @desc Decompresses raw DEFLATE data (RFC 1951), the compression method 
+ * most zip archives use.
+ * @param {String} data A string of bytes.
+ * @returns {String} A string of bytes.
+ */
+
+function inflate (data) {
+	var position = 0;
+	var bitbuffer = 0;
+	var bitcount = 0;
+	var output = [];
+
+	function bits (n) {
+		while (bitcount < n) {
+			if (position >= data.length) throw new ParseError("Unexpected end of compressed data");
+			bitbuffer |= data.charCodeAt(position++) << bitcount;
+			bitcount += 8;
+		}
+		var value = bitbuffer & ((1 << n) - 1);
+		bitbuffer >>>= n;
+		bitcount -= n;
+		return value;
+	}
+
+	function decode (huffman) {
+		var code = 0, first = 0, index = 0;
+		for (var length = 1; length <= 15; length++) {
+			code |= bits(1);
+			var count = huffman.counts[length];
+			if (code - count < first) return huffman.symbols[index + (code - first)];
+			index += count;
+			first = (first + count) << 1;
+			code <<= 1;
+		}
+		throw new ParseError("Invalid Huffman code in compressed data");
+	}
+
+	function stored () {
+		bitbuffer = 0;
+		bitcount = 0;
+		var length = data.charCodeAt(position) | (data.charCodeAt(position + 1) << 8);
+		position += 4;
+		if (position + length > data.length) throw new ParseError("Unexpected end of compressed data");
+		for (var i = 0; i < length; i++) output.push(data.charCodeAt(position++));
+	}
+
+	function compressed (literals, distances) {
+		while (true) {
+			var symbol = decode(literals);
+			if (symbol < 256) {
+				output.push(symbol);
+			} else if (symbol == 256) {
+				return;
+			} else {
+				symbol -= 257;
+				if (symbol >= 29) throw new ParseError("Invalid length code in compressed data");
+				var length = LENGTH_BASE[symbol] + bits(LENGTH_EXTRA[symbol]);
+				var code = decode(distances);
+				if (code >= 30) throw new ParseError("Invalid distance code in compressed data");
+				var distance = DISTANCE_BASE[code] + bits(DISTANCE_EXTRA[code]);
+				if (distance > output.length) throw new ParseError("Invalid distance in compressed data");
+				var start = output.length - distance;
+				for (var i = 0; i < length; i++) output.push(output[start + i]);
+			}
+		}
+	}
+
+	function dynamic () {
+		var nliterals = bits(5) + 257;
+		var ndistances = bits(5) + 1;
+		var ncodes = bits(4) + 4;
+		var lengths = _fill(19, 0);
+		for (var i = 0; i < ncodes; i++) lengths[CODE_LENGTH_ORDER[i]] = bits(3);
+		var lencode = new Huffman(lengths);
+
+		lengths = [];
+		while (lengths.length < nliterals + ndistances) {
+			var symbol = decode(lencode);
+			if (symbol < 16) {
+				lengths.push(symbol);
+			} else if (symbol == 16) {
+				if (!lengths.length) throw new ParseError("Invalid code lengths in compressed data");
+				lengths = lengths.concat(_fill(3 + bits(2), lengths[lengths.length - 1]));
+			} else if (symbol == 17) {
+				lengths = lengths.concat(_fill(3 + bits(3), 0));
+			} else {
+				lengths = lengths.concat(_fill(11 + bits(7), 0));
+			}
+		}
+		compressed(new Huffman(lengths.slice(0, nliterals)), 
+			new Huffman(lengths.slice(nliterals, nliterals + ndistances)));
+	}
+
+	var last = 0;
+	while (!last) {
+		last = bits(1);
+		var type = bits(2);
+		if (type == 0) {
+			stored();
+		} else if (type == 1) {
+			compressed(FIXED_LITERALS, FIXED_DISTANCES);
+		} else if (type == 2) {
+			dynamic();
+		} else {
+			throw new ParseError("Invalid block type in compressed data");
+		}
+	}
+
+	// String.fromCharCode chokes on very long argument lists
+	var chunks = [];
+	for (var i = 0; i < output.length; i += 4096) {
+		chunks.push(String.fromCharCode.apply(null, output.slice(i, i + 4096)));
+	}
+	return chunks.join('');
+}
+
+var CRC_TABLE = [];
+for (var n = 0; n < 256; n++) {
+	var c = n;
+	for (var k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+	CRC_TABLE[n] = c >>> 0;
+}
+
+function _crc32 (bytes) {
+	var crc = 0xFFFFFFFF;
+	for (var i = 0; i < bytes.length; i++) {
+		crc = CRC_TABLE[(crc ^ bytes.charCodeAt(i)) & 0xFF] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function _uint (bytes, offset, size) {
+	var value = 0;
+	for (var i = size - 1; i >= 0; i--) {
+		value = value * 256 + bytes.charCodeAt(offset + i);
+	}
+	return value;
+}
+
+/**
+ * @class
+ * @desc Reads zip archives, the format packages are usually distributed in.
+ * Supports stored and deflated entries, which covers archives made by 
+ * the Finder, Windows Explorer and the ``zip`` command line tool.
+ * @param {File} file
+ *
+ * @example
+ *     var archive = new ZipArchive(new File("~/Downloads/mypackage.zip"));
+ *     archive.extract(Folder.temp);
+ */
+
+function ZipArchive (file) {
+	var self = this;
+	this.file = file;
+
+	this.read_bytes = function () {
+		self.file.encoding = "BINARY";
+		if (!self.file.open("r")) {
+			throw new IOError("Couldn't open {}".format(File.decode(self.file.absoluteURI)));
+		}
+		var bytes = self.file.read();
+		self.file.close();
+		return bytes;
+	}
+
+	var bytes = this.read_bytes();
+
+	/**
+	 * @desc The files and folders in the archive. Each entry has a ``name`` (a path using 
+	 * forward slashes), a ``size``, whether it's a ``directory`` and a ``read`` method 
+	 * that returns its contents as a string of bytes. Mac OS resource forks are left out.
+	 * @returns {Object[]}
+	 */
+	this.entries = function () {
+		// the end of central directory record sits at the very end, 
+		// unless the archive has a comment
+		var end = bytes.lastIndexOf("PK\x05\x06");
+		if (end == -1) throw new ParseError("{} is not a zip archive".format(self.file.name));
+		var count = _uint(bytes, end + 10, 2);
+		var offset = _uint(bytes, end + 16, 4);
+
+		var entries = [];
+		for (var i = 0; i < count; i++) {
+			if (bytes.substr(offset, 4) != "PK\x01\x02") throw new ParseError("Corrupt zip archive");
+			var flags = _uint(bytes, offset + 8, 2);
+			var name_length = _uint(bytes, offset + 28, 2);
+			var name = bytes.substr(offset + 46, name_length);
+			// bit 11 flags UTF-8 file names
+			if (flags & 0x800) name = decodeURIComponent(escape(name));
+			entries.push(new ZipEntry(name, offset));
+			offset += 46 + name_length + _uint(bytes, offset + 30, 2) + _uint(bytes, offset + 32, 2);
+		}
+		return entries.reject(function (entry) {
+			return entry.name.startswith("__MACOSX/");
+		});
+	}
+
+	// reads an entry from its record in the central directory
+	function ZipEntry (name, offset) {
+		this.name = name;
+		this.directory = name.endswith("/");
+		this.method = _uint(bytes, offset + 10, 2);
+		this.crc = _uint(bytes, offset + 16, 4);
+		this.compressed_size = _uint(bytes, offset + 20, 4);
+		this.size = _uint(bytes, offset + 24, 4);
+		// where the local file header for this entry starts
+		this.header = _uint(bytes, offset + 42, 4);
+
+		this.read = function () {
+			var offset = this.header;
+			if (bytes.substr(offset, 4) != "PK\x03\x04") throw new ParseError("Corrupt zip archive");
+			offset += 30 + _uint(bytes, offset + 26, 2) + _uint(bytes, offset + 28, 2);
+			var data = bytes.substr(offset, this.compressed_size);
+			if (this.method == 0) {
+				var content = data;
+			} else if (this.method == 8) {
+				var content = inflate(data);
+			} else {
+				throw new NotImplementedError("{} uses an unsupported compression method".format(this.name));
+			}
+			if (_crc32(content) != this.crc) {
+				throw new ParseError("{} is corrupt: checksum mismatch".format(this.name));
+			}
+			return content;
+		}
+	}
+
+	/**
+	 * @desc Extracts the archive into a folder.
+	 * @param {Folder} folder
+	 * @returns {Folder[]|File[]} The files and folders that were extracted.
+	 */
+	this.extract = function (folder) {
+		var extracted = [];
+		self.entries().forEach(function (entry) {
+			var path = entry.name.rtrim("/");
+			if (path.contains("..")) throw new ParseError("{} points outside of the archive".format(entry.name));
+			if (entry.directory) {
+				var directory = new Folder(path).at(folder);
+				directory.create();
+				extracted.push(directory);
+			} else {
+				var file = new File(path).at(folder);
+				file.parent.create();
+				file.encoding = "BINARY";
+				if (!file.open("w")) {
+					throw new IOError("Couldn't write to {}".format(File.decode(file.absoluteURI)));
+				}
+				file.write(entry.read());
+				file.close();
+				extracted.push(file);
+			}
+		});
+		return extracted;
+	}
+}
\ No newline at end of file
@@ -0,0 +1,3 @@
+﻿exports.hello = function () {
+	return "Hello";
+}
\ No newline at end of file
@@ -0,0 +1 @@
+﻿exports.hello = require("nonexistent-package").hello;
\ No newline at end of file
@@ -1 +1 @@
-﻿exports.octals = require("io/octals");
\ No newline at end of file
+﻿exports.octals = require("./octals");
\ No newline at end of file
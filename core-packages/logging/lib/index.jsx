@@ -5,8 +5,29 @@
  
 var SEVERITY = ["NOTSET", "CRITICAL", "ERROR", "WARNING", "INFO", "DEBUG"];
  
-var LogMessage = function (severity, message) {
-    this.date = new Date().toLocaleString();
+/*
+ * ``locale`` is whatever ``toLocaleString`` gives us, which differs from platform 
+ * to platform, ``iso`` is an ISO 8601 timestamp and anything else is 
+ * a format for :func:`Date#strftime`.
+ */
+var timestamp = function (date, format) {
+	if (format == 'iso') return date.to_iso();
+	if (format && format != 'locale') return date.strftime(format);
+	return date.toLocaleString();
+}
+
+// Turns a level name like ``DEBUG`` or a number (or a numeric string) into 
+// a log level, or ``undefined`` if it's neither.
+var to_level = function (level) {
+	if (typeof level == 'string') {
+		var index = SEVERITY.indexOf(level);
+		level = index > -1 ? index : (level.length ? Number(level) : NaN);
+	}
+	if (typeof level == 'number' && !isNaN(level)) return level;
+}
+
+var LogMessage = function (severity, message, format) {
+    this.date = timestamp(new Date(), format);
     this.severity = severity;
     this.message = message;
     
@@ -22,6 +43,9 @@ var LogMessage = function (severity, message) {
  * @param {String} name the filename for this log file
  * @param {String|Number} [log_level=4] the log level above which log messages don't get written, 
  * either a name (e.g. CRITICAL) or the actual log level.
+ * @param {String} [timestamp] how to format the date and time of each message: 
+ * ``locale``, ``iso`` or a :func:`Date#strftime` format. Defaults to the 
+ * ``LOGGING_TIMESTAMP`` setting.
  *
  * @example
  *     var logging = require("logging");
@@ -35,12 +59,15 @@ var LogMessage = function (severity, message) {
   *    }
  */
 
-var Log = function (name, log_level) {
+var Log = function (name, log_level, timestamp) {
 	var self = this;
 	this.name = name;
-	// log level can be specified both by name or directly as a level.
-	if (log_level && log_level.is(String)) log_level = SEVERITY.indexOf(log_level);
-	this.log_level = log_level || settings.LOGGING_LOG_LEVEL || 4;
+	// log level can be specified both by name or directly as a level, 
+	// and so can the LOGGING_LOG_LEVEL setting. A setting we can't make 
+	// sense of is something for ``settings.validate()`` to report, 
+	// it shouldn't keep a script from running.
+	this.log_level = to_level(log_level) || to_level(settings.get('LOGGING_LOG_LEVEL')) || 4;
+	this.timestamp = timestamp || settings.get_string('LOGGING_TIMESTAMP', 'locale');
 	
 	this.truncate = function (forced) {
 		// truncate the logfile if it gets bigger than half a megabyte
@@ -53,7 +80,7 @@ var Log = function (name, log_level) {
 	
 	this.writeln = function (severity, message) {
 		var log = self.file;		
-		var logmessage = new LogMessage(severity, message)
+		var logmessage = new LogMessage(severity, message, self.timestamp)
 		log.open("e");
 		log.seek(log.length);	
 		log.writeln(logmessage);
@@ -119,7 +146,7 @@ var Log = function (name, log_level) {
 	}
 
 	// init
-	var logfolder = settings.LOGGING_FOLDER || new Folder("log").at(Folder.extendables);
+	var logfolder = settings.get_folder("LOGGING_FOLDER", new Folder("log").at(Folder.extendables));
 	this.file = new File(this.name).at(logfolder);
 	this.truncate();
 }
@@ -0,0 +1,255 @@
+﻿/*
+ * Named, nestable timers. Unlike ``Date.timer``, which only has a single 
+ * start time that every measurement shares, a profiler keeps track of any 
+ * number of timers, how they nest and how often they ran, and can 
+ * tell you where a script spends its time.
+ */
+
+var Template = require("templating").Template;
+
+/**
+ * @class
+ * @name ProfilingError
+ * @desc Raised when stopping a timer that isn't running.
+ */
+
+var ProfilingError = exports.ProfilingError = Error.factory("ProfilingError");
+
+function _span (name) {
+	return {'name': name, 'calls': 0, 'total': 0, 'min': null, 'max': null, 'children': [], 'index': {}};
+}
+
+function _child (span, name) {
+	if (!span.index.hasOwnProperty(name)) {
+		span.index[name] = _span(name);
+		span.children.push(span.index[name]);
+	}
+	return span.index[name];
+}
+
+// unlike ``Array#sum``, this works for spans without any children
+function _total (spans) {
+	return spans.reduce(function (total, span) {
+		return total + span.total;
+	}, 0);
+}
+
+function _escape_braces (str) {
+	return str.replace(/\{/g, '{{').replace(/\}/g, '}}');
+}
+
+function _escape_html (str) {
+	return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * @class
+ * @desc A profiler. Timers can be nested: a timer that starts while another 
+ * one is running counts as a part of it, so the report shows a tree of spans, 
+ * each with its number of calls, total, minimum, mean and maximum duration, and 
+ * the time spent in the span itself rather than in any of the spans nested inside of it.
+ *
+ * Most of the time, you'll want to use the profiler the module exports, 
+ * ``require("profiling").profiler``, but you can make as many separate profilers 
+ * as you need.
+ *
+ * @param {Function} [clock] A function that returns the current time in milliseconds. 
+ *     Uses ``new Date().getTime()`` by default.
+ *
+ * @example
+ *     var profiler = require("profiling").profiler;
+ *     profiler.start("layout");
+ *     pages.forEach(function (page) {
+ *         profiler.time("place images", function () {
+ *             place_images(page);
+ *         });
+ *     });
+ *     profiler.stop("layout");
+ *     $.writeln(profiler.report());
+ */
+
+function Profiler (clock) {
+	var self = this;
+	var clock = clock || function () {
+		return new Date().getTime();
+	}
+	var root;
+	var running;
+
+	/**
+	 * @desc Throws away all measurements and stops any running timers.
+	 */
+	this.reset = function () {
+		root = _span('');
+		running = [];
+	}
+
+	/**
+	 * @desc Starts a timer. If another timer is running, this timer is nested inside of it.
+	 * @param {String} name
+	 */
+	this.start = function (name) {
+		var parent = running.length ? running.last().span : root;
+		running.push({'span': _child(parent, name), 'started': clock()});
+	}
+
+	/**
+	 * @desc Stops the timer that was started last.
+	 * @param {String} [name] The name of the timer you expect to stop. 
+	 *     Passing it in catches timers that didn't get stopped.
+	 * @returns {Number} How long the timer ran, in milliseconds.
+	 * @throws {ProfilingError} When no timer is running, or when the timer 
+	 *     that was started last has a different name.
+	 */
+	this.stop = function (name) {
+		if (!running.length) {
+			throw new ProfilingError("Can't stop a timer, because there are no timers running.");
+		}
+		var timer = running.last();
+		if (name !== undefined && timer.span.name != name) {
+			throw new ProfilingError("Can't stop timer {}: timer {} is still running.".format(name, timer.span.name));
+		}
+		running.pop();
+		var duration = clock() - timer.started;
+		var span = timer.span;
+		span.calls++;
+		span.total += duration;
+		if (span.min === null || duration < span.min) span.min = duration;
+		if (span.max === null || duration > span.max) span.max = duration;
+		return duration;
+	}
+
+	/**
+	 * @desc Times a function call. The timer stops even if the function throws an error.
+	 * @param {String} name
+	 * @param {Function} fn
+	 * @param {Object} [context] What ``this`` should be inside of the function.
+	 * @returns Whatever the function returns.
+	 */
+	this.time = function (name, fn, context) {
+		self.start(name);
+		try {
+			return fn.call(context);
+		} finally {
+			self.stop(name);
+		}
+	}
+
+	/**
+	 * @desc Wraps a function so every call to it gets timed.
+	 * @param {Function} fn
+	 * @param {String} [name] Defaults to the name of the function.
+	 * @returns {Function} The wrapped function, which takes the same arguments 
+	 *     and returns the same result as the original.
+	 *
+	 * @example
+	 *     place_images = profiler.profile(place_images);
+	 */
+	this.profile = function (fn, name) {
+		var name = name || fn.name || 'anonymous';
+		return function () {
+			var args = arguments;
+			var context = this;
+			return self.time(name, function () {
+				return fn.apply(context, args);
+			});
+		}
+	}
+
+	/**
+	 * @desc Statistics for every span, in the order they first ran, 
+	 * with nested spans right after the span they're part of.
+	 * @returns {Object[]} Objects with the ``name``, the ``path`` 
+	 *     (e.g. ``layout/place images``), the nesting ``depth``, the number of ``calls``, 
+	 *     the ``total``, ``min``, ``mean`` and ``max`` duration in milliseconds, 
+	 *     the ``own`` time spent outside of nested spans and the 
+	 *     ``percent`` of all measured time.
+	 */
+	this.stats = function () {
+		var overall = _total(root.children);
+		var stats = [];
+		function walk (span, path, depth) {
+			span.children.forEach(function (child) {
+				var child_path = path ? path + '/' + child.name : child.name;
+				stats.push({
+					'name': child.name, 
+					'path': child_path, 
+					'depth': depth, 
+					'calls': child.calls, 
+					'total': child.total, 
+					'min': child.min || 0, 
+					'mean': child.calls ? child.total / child.calls : 0, 
+					'max': child.max || 0, 
+					'own': child.total - _total(child.children), 
+					'percent': overall ? child.total / overall * 100 : 0
+				});
+				walk(child, child_path, depth + 1);
+			});
+		}
+		walk(root, '', 0);
+		return stats;
+	}
+
+	function render (format) {
+		var format = format || 'text';
+		if (!['text', 'html'].contains(format)) {
+			throw new RangeError("Profiling reports are either text or html, not {}".format(format));
+		}
+		var spans = self.stats().map(function (span) {
+			// the rendered partials get formatted again along with the rest 
+			// of the report, so braces in a name need escaping
+			var label = new Array(span.depth + 1).join("  ") + span.name;
+			span.label = _escape_braces(label);
+			span.html_label = _escape_braces(_escape_html(span.name));
+			span.indent = span.depth * 20;
+			return span;
+		});
+		var template = new Template("report." + (format == 'html' ? 'html' : 'txt'), module);
+		template.render({
+			'date': new Date().to_iso(), 
+			'total': _total(root.children), 
+			'spans': spans
+		});
+		return template;
+	}
+
+	/**
+	 * @desc A report with statistics for every span, nested spans indented.
+	 * @param {String} [format="text"] ``text`` or ``html``.
+	 * @returns {String}
+	 */
+	this.report = function (format) {
+		return render(format)._output;
+	}
+
+	/**
+	 * @desc Writes a report to the ``log`` folder.
+	 * @param {String} filename
+	 * @param {String} [format="text"] ``text`` or ``html``.
+	 */
+	this.write_to = function (filename, format) {
+		render(format).write_to(filename);
+	}
+
+	this.reset();
+}
+
+exports.Profiler = Profiler;
+
+/**
+ * @desc The default profiler.
+ */
+
+var profiler = exports.profiler = new Profiler();
+
+/**
+ * @desc Shortcut for ``profiler.profile``: wraps a function so 
+ * every call to it gets timed by the default profiler.
+ * @param {Function} fn
+ * @param {String} [name]
+ * @returns {Function}
+ */
+
+exports.profile = function (fn, name) {
+	return profiler.profile(fn, name);
+}
\ No newline at end of file
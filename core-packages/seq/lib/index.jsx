@@ -0,0 +1,226 @@
+﻿/*
+ * Lazy sequences. Array methods like ``map`` and ``filter`` build a full 
+ * intermediate array at every step, which gets slow when you're working 
+ * through thousands of page items or XML elements. A sequence only does 
+ * the work when you ask for the results, one item at a time, and stops 
+ * as soon as it has what it needs.
+ */
+
+exports.Seq = Seq;
+
+// Returns a function that feeds every item in the source to a callback, 
+// until the source runs out or the callback returns false.
+function _iterate (source) {
+	if (source instanceof Function) {
+		return function (callback) {
+			for (var i = 0; ; i++) {
+				var value = source(i);
+				if (value === undefined || callback(value) === false) return;
+			}
+		}
+	} else {
+		return function (callback) {
+			// XMLList has a length method rather than a length property, and 
+			// asking a DOM collection for its length is slow, so we only do it once
+			var length = source.length instanceof Function ? source.length() : source.length;
+			for (var i = 0; i < length; i++) {
+				if (callback(source[i]) === false) return;
+			}
+		}
+	}
+}
+
+function _derive (each) {
+	var seq = new Seq([]);
+	seq.each = each;
+	return seq;
+}
+
+/**
+ * @class
+ * @desc A lazy sequence. Wraps arrays, DOM collections (like ``doc.pageItems``), 
+ * E4X XML lists, and generator functions. Transformations like ``map`` and ``filter`` 
+ * return a new sequence without doing any work; methods like ``to_array``, 
+ * ``find`` and ``reduce`` go through the items, but only as far as they need to.
+ *
+ * @param {Array|Collection|XMLList|Function} source Generator functions get passed 
+ *     the index of the item they should generate, and signal the end of the sequence 
+ *     by returning ``undefined``.
+ *
+ * @example
+ *     var Seq = require("seq").Seq;
+ *     // only looks at page items until it has found five empty text frames
+ *     var empty = new Seq(doc.pageItems).filter(function (item) {
+ *         return item.contents === "";
+ *     }).take(5).to_array();
+ *
+ *     // an infinite sequence of square numbers
+ *     var squares = new Seq(function (i) { return i * i; });
+ *     squares.take_while(function (n) { return n < 100; }).to_array();
+ */
+
+function Seq (source) {
+	var self = this;
+	if (source instanceof Seq) return source;
+
+	/**
+	 * @desc Calls a function on every item in the sequence, 
+	 * until it returns ``false``.
+	 * @param {Function} fn
+	 */
+	this.each = _iterate(source);
+
+	/**
+	 * @desc A lazy version of :func:`Array#map`.
+	 * @param {Function} fn Gets passed each item and its position in the sequence.
+	 * @returns {Seq}
+	 */
+	this.map = function (fn) {
+		return _derive(function (callback) {
+			var i = 0;
+			self.each(function (value) {
+				return callback(fn(value, i++));
+			});
+		});
+	}
+
+	/**
+	 * @desc A lazy version of :func:`Array#filter`.
+	 * @param {Function} fn Gets passed each item and its position in the sequence.
+	 * @returns {Seq}
+	 */
+	this.filter = function (fn) {
+		return _derive(function (callback) {
+			var i = 0;
+			self.each(function (value) {
+				if (fn(value, i++)) return callback(value);
+			});
+		});
+	}
+
+	/**
+	 * @desc A lazy version of :func:`Array#reject`.
+	 * @param {Function} fn
+	 * @returns {Seq}
+	 */
+	this.reject = function (fn) {
+		return self.filter(function (value, i) {
+			return !fn(value, i);
+		});
+	}
+
+	/**
+	 * @desc The first ``n`` items in the sequence.
+	 * @param {Number} n
+	 * @returns {Seq}
+	 */
+	this.take = function (n) {
+		return _derive(function (callback) {
+			if (n <= 0) return;
+			var taken = 0;
+			self.each(function (value) {
+				if (callback(value) === false) return false;
+				return ++taken < n;
+			});
+		});
+	}
+
+	/**
+	 * @desc Items from the start of the sequence, for as long as they pass a test.
+	 * @param {Function} fn
+	 * @returns {Seq}
+	 */
+	this.take_while = function (fn) {
+		return _derive(function (callback) {
+			var i = 0;
+			self.each(function (value) {
+				if (!fn(value, i++)) return false;
+				return callback(value);
+			});
+		});
+	}
+
+	/**
+	 * @desc The first item in the sequence that passes a test. 
+	 * Stops looking as soon as it finds one.
+	 * @param {Function} fn
+	 * @returns The item, or ``undefined`` if there is none.
+	 */
+	this.find = function (fn) {
+		var found;
+		var i = 0;
+		self.each(function (value) {
+			if (fn(value, i++)) {
+				found = value;
+				return false;
+			}
+		});
+		return found;
+	}
+
+	/**
+	 * @desc The first item in the sequence.
+	 */
+	this.first = function () {
+		return self.find(function () {
+			return true;
+		});
+	}
+
+	/**
+	 * @desc A lazy version of :func:`Array#reduce`.
+	 * @param {Function} fn
+	 * @param initial
+	 */
+	this.reduce = function (fn, initial) {
+		var memo = initial;
+		self.each(function (value) {
+			memo = fn(memo, value);
+		});
+		return memo;
+	}
+
+	/**
+	 * @desc The number of items in the sequence.
+	 * @returns {Number}
+	 */
+	this.count = function () {
+		return self.reduce(function (count) {
+			return count + 1;
+		}, 0);
+	}
+
+	/**
+	 * @desc Evaluates the sequence. Don't do this on infinite sequences.
+	 * @returns {Array}
+	 */
+	this.to_array = function () {
+		var array = [];
+		self.each(function (value) {
+			array.push(value);
+		});
+		return array;
+	}
+}
+
+/**
+ * @desc A lazy version of ``Number.range``. Leave out ``to`` for an infinite sequence.
+ * @param {Number} from
+ * @param {Number} [to=Infinity]
+ * @param {Number} [step=1]
+ * @returns {Seq}
+ *
+ * @example
+ *     > Seq.range(0, 10, 3).to_array();
+ *     [0, 3, 6, 9]
+ */
+
+Seq.range = function (from, to, step) {
+	var to = to === undefined ? Infinity : to;
+	var step = step || 1;
+	return new Seq(function (i) {
+		var value = from + i * step;
+		if (step > 0 ? value >= to : value <= to) return undefined;
+		return value;
+	});
+}
\ No newline at end of file
@@ -2,13 +2,8 @@
 
 function Template (path, for_module) {
 	var self = this;
-	var template_file = new File(path).at("templates").at(new File(for_module.uri).parent.parent);
-	if (!template_file.exists) {
-		throw IOError("Couldn't open template {}".format(template_file));
-	}
-	template_file.open("r");
-	this.template = template_file.read();
-	template_file.close();
+	// templates live in the ``templates`` folder of the package that uses them
+	this.template = for_module.resource("templates/" + path);
 	
 	this._output = false;
 
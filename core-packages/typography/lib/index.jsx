@@ -0,0 +1,352 @@
+﻿/*
+ * Typographic cleanup for text that arrives by e-mail or from the web: 
+ * smart quotes, dashes, ellipses, non-breaking spaces and Unicode normalization, 
+ * with a report of every change that was made.
+ */
+
+var decompositions = require("./normalization").decompositions;
+
+var NBSP = '\u00A0';
+
+// a letter followed by a combining mark maps back onto the precomposed letter
+var compositions = {};
+for (var character in decompositions) {
+	if (decompositions.hasOwnProperty(character)) compositions[decompositions[character]] = character;
+}
+
+/**
+ * @desc Typographic conventions per language, and for a couple of 
+ * countries where they differ from the rest of the language area. 
+ * ``quotes`` are the opening and closing double quote, followed by 
+ * the opening and closing single quote. ``dash`` is what replaces a 
+ * hyphen or a double hyphen between words, and ``spaced_dash`` whether 
+ * that dash gets a space on either side.
+ * ``quote_spacing`` and ``punctuation_spacing`` put a non-breaking 
+ * space inside quotes and before ``; : ! ?``, as is the custom in French.
+ */
+
+var conventions = exports.conventions = {
+	'en': {'quotes': ['“', '”', '‘', '’'], 'dash': '—', 'spaced_dash': false}, 
+	'en_GB': {'dash': '–', 'spaced_dash': true}, 
+	'en_AU': {'dash': '–', 'spaced_dash': true}, 
+	'nl': {'quotes': ['“', '”', '‘', '’'], 'dash': '–', 'spaced_dash': true}, 
+	'de': {'quotes': ['„', '“', '‚', '‘'], 'dash': '–', 'spaced_dash': true}, 
+	'de_CH': {'quotes': ['«', '»', '‹', '›']}, 
+	'fr': {'quotes': ['«', '»', '‹', '›'], 'dash': '–', 'spaced_dash': true, 
+		'quote_spacing': true, 'punctuation_spacing': true}, 
+	'es': {'quotes': ['«', '»', '“', '”'], 'dash': '–', 'spaced_dash': true}, 
+	'it': {'quotes': ['«', '»', '“', '”'], 'dash': '–', 'spaced_dash': true}, 
+	'pt': {'quotes': ['«', '»', '“', '”'], 'dash': '–', 'spaced_dash': true}, 
+	'pt_BR': {'quotes': ['“', '”', '‘', '’']}, 
+	'sv': {'quotes': ['”', '”', '’', '’'], 'dash': '–', 'spaced_dash': true}
+}
+
+/**
+ * @desc Units and currency symbols that shouldn't end up on a different 
+ * line than the number in front of them. Add to this list if you need more.
+ */
+
+var units = exports.units = [
+	'%', '‰', '°C', '°F', '°', '€', '$', '£', '¥', 
+	'mg', 'kg', 'g', 't', 'mm', 'cm', 'km', 'm', 'ml', 'cl', 'l', 
+	'pt', 'px', 'h', 'min', 'kB', 'MB', 'GB', 'TB', 'Hz', 'kHz', 'MHz', 'GHz'
+]
+
+/**
+ * @desc The conventions for a language. Countries we don't know 
+ * about fall back to their language (``fr_BE`` to ``fr``), 
+ * and languages we don't know about fall back to English.
+ * @param {String} [language=$.locale] A language like ``fr`` or a locale like ``en_GB``.
+ * @returns {Object}
+ */
+
+exports.get = function (language) {
+	var name = String(language || $.locale || 'en').replace('-', '_');
+	var base = name.split('_')[0].toLowerCase();
+	if (!conventions.hasOwnProperty(base)) base = 'en';
+	var merged = {'name': name};
+	for (var key in conventions[base]) {
+		if (conventions[base].hasOwnProperty(key)) merged[key] = conventions[base][key];
+	}
+	if (conventions.hasOwnProperty(name)) {
+		for (var key in conventions[name]) {
+			if (conventions[name].hasOwnProperty(key)) merged[key] = conventions[name][key];
+		}
+	}
+	return merged;
+}
+
+function _is_letter (character) {
+	return /[0-9A-Za-z\u00AA\u00B5\u00BA\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u024F\u0370-\u03FF\u0400-\u04FF\u1E00-\u1EFF]/.test(character);
+}
+
+function _escape_regexp (string) {
+	return string.replace(/([\\^$.*+?()[\]{}|\/])/g, '\\$1');
+}
+
+// shows whitespace that would otherwise be invisible in a report
+function _visible (string) {
+	return string.replace(/\u00A0/g, '<nbsp>').replace(/\r/g, '<cr>').replace(/\n/g, '<lf>');
+}
+
+// Records a change. Only the characters that actually changed are recorded, 
+// so it doesn't matter if a pattern matches a bit more than what it replaces.
+function _record (changes, rule, position, from, to) {
+	var start = 0;
+	while (start < from.length && start < to.length && from.charAt(start) == to.charAt(start)) start++;
+	var end = 0;
+	while (end < from.length - start && end < to.length - start && 
+		from.charAt(from.length - 1 - end) == to.charAt(to.length - 1 - end)) end++;
+	var change = {
+		'rule': rule, 
+		'position': position + start, 
+		'from': from.substring(start, from.length - end), 
+		'to': to.substring(start, to.length - end)
+	};
+	if (change.from.length) {
+		change.message = '{rule}: replaced "{from}" with "{to}" at position {position}';
+	} else {
+		change.message = '{rule}: inserted "{to}" at position {position}';
+	}
+	change.message = change.message.format({
+		'rule': rule, 'from': _visible(change.from), 'to': _visible(change.to), 'position': change.position
+	});
+	changes.push(change);
+}
+
+// like String#replace with a function, but records whatever it changes
+function _substitute (text, pattern, replace, record) {
+	return text.replace(pattern, function (match) {
+		var position = arguments[arguments.length - 2];
+		var replacement = replace.apply(null, arguments);
+		if (replacement != match) record(position, match, replacement);
+		return replacement;
+	});
+}
+
+function _decompose (character) {
+	if (!decompositions.hasOwnProperty(character)) return character;
+	var decomposition = decompositions[character];
+	return _decompose(decomposition.charAt(0)) + decomposition.substring(1);
+}
+
+function _compose (characters) {
+	var composed = '';
+	for (var i = 0; i < characters.length; i++) {
+		var pair = composed.slice(-1) + characters.charAt(i);
+		if (composed.length && compositions.hasOwnProperty(pair)) {
+			composed = composed.slice(0, -1) + compositions[pair];
+		} else {
+			composed += characters.charAt(i);
+		}
+	}
+	return composed;
+}
+
+function _normalize (text, form, record) {
+	if (form == 'NFD') {
+		return _substitute(text, /[\u00C0-\u024F\u1E00-\u1EFF]/g, _decompose, record);
+	} else if (form == 'NFC') {
+		return _substitute(text, /[\s\S][\u0300-\u036F]+/g, function (match) {
+			var base = match.charAt(0);
+			return _compose(_decompose(base) + match.substring(1));
+		}, record);
+	} else {
+		throw new RangeError("Unknown normalization form: {}. Use NFC or NFD.".format(form));
+	}
+}
+
+/**
+ * @desc Unicode normalization, which ExtendScript doesn't have built in.
+ * ``NFC`` composes letters and the combining marks that follow them into 
+ * a single character wherever possible, ``NFD`` takes them apart.
+ * Copy-pasted text, especially from PDFs and from Mac file names, 
+ * often contains decomposed accents, which may not show up correctly 
+ * in fonts without proper OpenType support and which trip up searches.
+ *
+ * Only covers the Latin script, which is where this matters most in practice.
+ *
+ * @param {String} text
+ * @param {String} [form="NFC"] ``NFC`` or ``NFD``.
+ * @returns {String}
+ * @throws {RangeError} For any other normalization form.
+ *
+ * @example
+ *     > typography.normalize("e\u0301te\u0301").length
+ *     3
+ */
+
+exports.normalize = function (text, form) {
+	return _normalize(String(text), form || 'NFC', function () {});
+}
+
+/**
+ * @desc The individual cleanup rules. Each rule takes the text, the 
+ * conventions for a language (see :func:`get`) and a function it should call 
+ * with the position, the original and the replacement for every change it makes, 
+ * and returns the cleaned up text.
+ */
+
+var rules = exports.rules = {
+	'normalization': function (text, conventions, record) {
+		return _normalize(text, conventions.normalization, record);
+	}, 
+	'spaces': function (text, conventions, record) {
+		return _substitute(text, / {2,}/g, function () {
+			return ' ';
+		}, record);
+	}, 
+	'ellipsis': function (text, conventions, record) {
+		return _substitute(text, /\.\.\.|\. \. \./g, function () {
+			return '…';
+		}, record);
+	}, 
+	'dashes': function (text, conventions, record) {
+		// ranges like 1914-1918 or pp. 12-14 take an en dash, but dates 
+		// like 2011-04-01 and other longer sequences are left alone
+		var text = _substitute(text, /(^|[^\d\-\/.,:])(\d+)-(\d+)(?![\d\-\/])/g, function (match, before, start, end) {
+			return before + start + '–' + end;
+		}, record);
+		// a double hyphen, or a hyphen with spaces around it, 
+		// is a poor man's dash
+		return _substitute(text, /[ \u00A0]*-{2,3}[ \u00A0]*| +- +/g, function () {
+			return conventions.spaced_dash ? ' ' + conventions.dash + ' ' : conventions.dash;
+		}, record);
+	}, 
+	'quotes': function (text, conventions, record) {
+		var quotes = conventions.quotes;
+		var spacing = conventions.quote_spacing ? NBSP : '';
+		var openers = quotes[0] + quotes[2] + '([{–—-/';
+		var open = {'"': false, "'": false};
+		var opened_at = -1;
+		var cleaned = '';
+		for (var i = 0; i < text.length; i++) {
+			var character = text.charAt(i);
+			if (character != '"' && character != "'") {
+				cleaned += character;
+				continue;
+			}
+
+			var previous = text.charAt(i - 1);
+			var next = text.charAt(i + 1);
+			var after_space = !previous || /\s/.test(previous) || openers.indexOf(previous) > -1 || opened_at == i - 1;
+			var before_space = !next || /[\s.,;:!?)\]}]/.test(next);
+
+			// apostrophes: it's, rock 'n' roll, the '90s
+			if (character == "'" && ((_is_letter(previous) && _is_letter(next)) || 
+				(after_space && /^\d\d(?!\d)/.test(text.substring(i + 1))))) {
+				record(i, character, '’');
+				cleaned += '’';
+				continue;
+			}
+
+			if (after_space && before_space) {
+				// quotes surrounded by spaces could go either way, 
+				// so we look at whether there's a quote left open
+				var opening = !open[character];
+			} else {
+				var opening = after_space;
+			}
+			open[character] = opening;
+
+			var index = character == '"' ? 0 : 2;
+			var position = i;
+			var original = character;
+			if (opening) {
+				opened_at = i;
+				var replacement = quotes[index] + spacing;
+				// guillemets with spacing absorb the space that's already there
+				if (spacing && /[ \u00A0]/.test(next)) {
+					original += next;
+					i++;
+				}
+			} else {
+				var replacement = spacing + quotes[index + 1];
+				if (spacing && /[ \u00A0]/.test(previous)) {
+					original = previous + original;
+					position--;
+					cleaned = cleaned.slice(0, -1);
+				}
+			}
+			record(position, original, replacement);
+			cleaned += replacement;
+		}
+		return cleaned;
+	}, 
+	'punctuation': function (text, conventions, record) {
+		if (!conventions.punctuation_spacing) return text;
+		// but not in times like 10:30 or in urls like http://
+		text = _substitute(text, /([^\s\u00A0;:!?«]) ?([;:!?»])(?=[\s;:!?».,)]|$)/g, function (match, before, mark) {
+			return before + NBSP + mark;
+		}, record);
+		return _substitute(text, /« ?(?=[^\s\u00A0])/g, function () {
+			return '«' + NBSP;
+		}, record);
+	}, 
+	'units': function (text, conventions, record) {
+		var symbols = units.map(_escape_regexp).join('|');
+		var unit = new RegExp('(\\d) +(?=(' + symbols + ')(?![0-9A-Za-z\\u00C0-\\u024F]))', 'g');
+		text = _substitute(text, unit, function (match, digit) {
+			return digit + NBSP;
+		}, record);
+		// currency symbols that go in front of an amount
+		return _substitute(text, /([€$£¥]) +(?=\d)/g, function (match, symbol) {
+			return symbol + NBSP;
+		}, record);
+	}
+}
+
+/**
+ * @desc The rules :func:`clean` applies by default, in the order it applies them.
+ */
+
+exports.defaults = ['normalization', 'spaces', 'ellipsis', 'dashes', 'quotes', 'punctuation', 'units'];
+
+/**
+ * @desc Cleans up the typography of a piece of text.
+ * 
+ * Every change is reported as an object with the ``rule`` that made it, 
+ * the ``position`` where it was made, what it changed (``from`` and ``to``) 
+ * and a human-readable ``message``. The position refers to the text 
+ * as it was when that rule started, which is after all the rules before it 
+ * had their go at it. That way, you can replay the changes one rule at a time: 
+ * within a rule, apply them back to front.
+ *
+ * @param {String} text
+ * @param {Object} [options]
+ * @param {String} [options.language=$.locale] A language like ``fr`` or a locale like ``en_GB``, 
+ *     which determines what quotes and dashes look like.
+ * @param {String[]} [options.rules] The names of the rules to apply, 
+ *     defaults to all of them: ``normalization``, ``spaces``, ``ellipsis``, 
+ *     ``dashes``, ``quotes``, ``punctuation`` and ``units``.
+ * @param {String} [options.normalization="NFC"] ``NFC`` or ``NFD``.
+ * @returns {Object} An object with the cleaned up ``text`` and a list of ``changes``.
+ * @throws {RangeError} When asked for a rule that doesn't exist.
+ *
+ * @example
+ *     > var typography = require("typography");
+ *     > var cleaned = typography.clean('She said "it\'s fine" -- twice...', {'language': 'en'});
+ *     > cleaned.text
+ *     "She said “it’s fine”—twice…"
+ *     > cleaned.changes[0].message
+ *     "ellipsis: replaced "..." with "…" at position 29"
+ */
+
+exports.clean = function (text, options) {
+	var options = options || {};
+	var conventions = exports.get(options.language);
+	conventions.normalization = options.normalization || 'NFC';
+	var names = options.rules || exports.defaults;
+	var text = String(text);
+	var changes = [];
+	for (var i = 0; i < names.length; i++) {
+		var name = names[i];
+		if (!rules.hasOwnProperty(name)) {
+			throw new RangeError("Unknown typography rule: {}. Choose from: {}".format(name, exports.defaults.join(', ')));
+		}
+		text = rules[name](text, conventions, function (position, from, to) {
+			_record(changes, name, position, from, to);
+		});
+	}
+	return {'text': text, 'changes': changes};
+}
\ No newline at end of file
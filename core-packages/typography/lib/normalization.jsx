@@ -0,0 +1,85 @@
+﻿/*
+ * Canonical decompositions of precomposed Latin letters: a letter and one 
+ * combining mark each. Letters with more than one mark, like the Vietnamese ``ố``, 
+ * decompose into another precomposed letter and a mark, so decomposing 
+ * repeatedly gets you all the way down.
+ *
+ * Covers Latin-1, Latin Extended-A, the Latin letters in Latin Extended-B 
+ * that are used in Romanian and Pinyin, and Latin Extended Additional.
+ */
+
+exports.decompositions = {
+	'\u00C0': 'A\u0300', '\u00C1': 'A\u0301', '\u00C2': 'A\u0302', '\u00C3': 'A\u0303', '\u00C4': 'A\u0308', '\u00C5': 'A\u030A',
+	'\u00C7': 'C\u0327', '\u00C8': 'E\u0300', '\u00C9': 'E\u0301', '\u00CA': 'E\u0302', '\u00CB': 'E\u0308', '\u00CC': 'I\u0300',
+	'\u00CD': 'I\u0301', '\u00CE': 'I\u0302', '\u00CF': 'I\u0308', '\u00D1': 'N\u0303', '\u00D2': 'O\u0300', '\u00D3': 'O\u0301',
+	'\u00D4': 'O\u0302', '\u00D5': 'O\u0303', '\u00D6': 'O\u0308', '\u00D9': 'U\u0300', '\u00DA': 'U\u0301', '\u00DB': 'U\u0302',
+	'\u00DC': 'U\u0308', '\u00DD': 'Y\u0301', '\u00E0': 'a\u0300', '\u00E1': 'a\u0301', '\u00E2': 'a\u0302', '\u00E3': 'a\u0303',
+	'\u00E4': 'a\u0308', '\u00E5': 'a\u030A', '\u00E7': 'c\u0327', '\u00E8': 'e\u0300', '\u00E9': 'e\u0301', '\u00EA': 'e\u0302',
+	'\u00EB': 'e\u0308', '\u00EC': 'i\u0300', '\u00ED': 'i\u0301', '\u00EE': 'i\u0302', '\u00EF': 'i\u0308', '\u00F1': 'n\u0303',
+	'\u00F2': 'o\u0300', '\u00F3': 'o\u0301', '\u00F4': 'o\u0302', '\u00F5': 'o\u0303', '\u00F6': 'o\u0308', '\u00F9': 'u\u0300',
+	'\u00FA': 'u\u0301', '\u00FB': 'u\u0302', '\u00FC': 'u\u0308', '\u00FD': 'y\u0301', '\u00FF': 'y\u0308', '\u0100': 'A\u0304',
+	'\u0101': 'a\u0304', '\u0102': 'A\u0306', '\u0103': 'a\u0306', '\u0104': 'A\u0328', '\u0105': 'a\u0328', '\u0106': 'C\u0301',
+	'\u0107': 'c\u0301', '\u0108': 'C\u0302', '\u0109': 'c\u0302', '\u010A': 'C\u0307', '\u010B': 'c\u0307', '\u010C': 'C\u030C',
+	'\u010D': 'c\u030C', '\u010E': 'D\u030C', '\u010F': 'd\u030C', '\u0112': 'E\u0304', '\u0113': 'e\u0304', '\u0114': 'E\u0306',
+	'\u0115': 'e\u0306', '\u0116': 'E\u0307', '\u0117': 'e\u0307', '\u0118': 'E\u0328', '\u0119': 'e\u0328', '\u011A': 'E\u030C',
+	'\u011B': 'e\u030C', '\u011C': 'G\u0302', '\u011D': 'g\u0302', '\u011E': 'G\u0306', '\u011F': 'g\u0306', '\u0120': 'G\u0307',
+	'\u0121': 'g\u0307', '\u0122': 'G\u0327', '\u0123': 'g\u0327', '\u0124': 'H\u0302', '\u0125': 'h\u0302', '\u0128': 'I\u0303',
+	'\u0129': 'i\u0303', '\u012A': 'I\u0304', '\u012B': 'i\u0304', '\u012C': 'I\u0306', '\u012D': 'i\u0306', '\u012E': 'I\u0328',
+	'\u012F': 'i\u0328', '\u0130': 'I\u0307', '\u0134': 'J\u0302', '\u0135': 'j\u0302', '\u0136': 'K\u0327', '\u0137': 'k\u0327',
+	'\u0139': 'L\u0301', '\u013A': 'l\u0301', '\u013B': 'L\u0327', '\u013C': 'l\u0327', '\u013D': 'L\u030C', '\u013E': 'l\u030C',
+	'\u0143': 'N\u0301', '\u0144': 'n\u0301', '\u0145': 'N\u0327', '\u0146': 'n\u0327', '\u0147': 'N\u030C', '\u0148': 'n\u030C',
+	'\u014C': 'O\u0304', '\u014D': 'o\u0304', '\u014E': 'O\u0306', '\u014F': 'o\u0306', '\u0150': 'O\u030B', '\u0151': 'o\u030B',
+	'\u0154': 'R\u0301', '\u0155': 'r\u0301', '\u0156': 'R\u0327', '\u0157': 'r\u0327', '\u0158': 'R\u030C', '\u0159': 'r\u030C',
+	'\u015A': 'S\u0301', '\u015B': 's\u0301', '\u015C': 'S\u0302', '\u015D': 's\u0302', '\u015E': 'S\u0327', '\u015F': 's\u0327',
+	'\u0160': 'S\u030C', '\u0161': 's\u030C', '\u0162': 'T\u0327', '\u0163': 't\u0327', '\u0164': 'T\u030C', '\u0165': 't\u030C',
+	'\u0168': 'U\u0303', '\u0169': 'u\u0303', '\u016A': 'U\u0304', '\u016B': 'u\u0304', '\u016C': 'U\u0306', '\u016D': 'u\u0306',
+	'\u016E': 'U\u030A', '\u016F': 'u\u030A', '\u0170': 'U\u030B', '\u0171': 'u\u030B', '\u0172': 'U\u0328', '\u0173': 'u\u0328',
+	'\u0174': 'W\u0302', '\u0175': 'w\u0302', '\u0176': 'Y\u0302', '\u0177': 'y\u0302', '\u0178': 'Y\u0308', '\u0179': 'Z\u0301',
+	'\u017A': 'z\u0301', '\u017B': 'Z\u0307', '\u017C': 'z\u0307', '\u017D': 'Z\u030C', '\u017E': 'z\u030C', '\u01CD': 'A\u030C',
+	'\u01CE': 'a\u030C', '\u01CF': 'I\u030C', '\u01D0': 'i\u030C', '\u01D1': 'O\u030C', '\u01D2': 'o\u030C', '\u01D3': 'U\u030C',
+	'\u01D4': 'u\u030C', '\u01D5': '\u00DC\u0304', '\u01D6': '\u00FC\u0304', '\u01D7': '\u00DC\u0301', '\u01D8': '\u00FC\u0301', '\u01D9': '\u00DC\u030C',
+	'\u01DA': '\u00FC\u030C', '\u01DB': '\u00DC\u0300', '\u01DC': '\u00FC\u0300', '\u01F4': 'G\u0301', '\u01F5': 'g\u0301', '\u01F8': 'N\u0300',
+	'\u01F9': 'n\u0300', '\u01FA': '\u00C5\u0301', '\u01FB': '\u00E5\u0301', '\u01FC': '\u00C6\u0301', '\u01FD': '\u00E6\u0301', '\u01FE': '\u00D8\u0301',
+	'\u01FF': '\u00F8\u0301', '\u0218': 'S\u0326', '\u0219': 's\u0326', '\u021A': 'T\u0326', '\u021B': 't\u0326', '\u1E00': 'A\u0325',
+	'\u1E01': 'a\u0325', '\u1E02': 'B\u0307', '\u1E03': 'b\u0307', '\u1E04': 'B\u0323', '\u1E05': 'b\u0323', '\u1E06': 'B\u0331',
+	'\u1E07': 'b\u0331', '\u1E08': '\u00C7\u0301', '\u1E09': '\u00E7\u0301', '\u1E0A': 'D\u0307', '\u1E0B': 'd\u0307', '\u1E0C': 'D\u0323',
+	'\u1E0D': 'd\u0323', '\u1E0E': 'D\u0331', '\u1E0F': 'd\u0331', '\u1E10': 'D\u0327', '\u1E11': 'd\u0327', '\u1E12': 'D\u032D',
+	'\u1E13': 'd\u032D', '\u1E14': '\u0112\u0300', '\u1E15': '\u0113\u0300', '\u1E16': '\u0112\u0301', '\u1E17': '\u0113\u0301', '\u1E18': 'E\u032D',
+	'\u1E19': 'e\u032D', '\u1E1A': 'E\u0330', '\u1E1B': 'e\u0330', '\u1E1C': '\u0228\u0306', '\u1E1D': '\u0229\u0306', '\u1E1E': 'F\u0307',
+	'\u1E1F': 'f\u0307', '\u1E20': 'G\u0304', '\u1E21': 'g\u0304', '\u1E22': 'H\u0307', '\u1E23': 'h\u0307', '\u1E24': 'H\u0323',
+	'\u1E25': 'h\u0323', '\u1E26': 'H\u0308', '\u1E27': 'h\u0308', '\u1E28': 'H\u0327', '\u1E29': 'h\u0327', '\u1E2A': 'H\u032E',
+	'\u1E2B': 'h\u032E', '\u1E2C': 'I\u0330', '\u1E2D': 'i\u0330', '\u1E2E': '\u00CF\u0301', '\u1E2F': '\u00EF\u0301', '\u1E30': 'K\u0301',
+	'\u1E31': 'k\u0301', '\u1E32': 'K\u0323', '\u1E33': 'k\u0323', '\u1E34': 'K\u0331', '\u1E35': 'k\u0331', '\u1E36': 'L\u0323',
+	'\u1E37': 'l\u0323', '\u1E38': '\u1E36\u0304', '\u1E39': '\u1E37\u0304', '\u1E3A': 'L\u0331', '\u1E3B': 'l\u0331', '\u1E3C': 'L\u032D',
+	'\u1E3D': 'l\u032D', '\u1E3E': 'M\u0301', '\u1E3F': 'm\u0301', '\u1E40': 'M\u0307', '\u1E41': 'm\u0307', '\u1E42': 'M\u0323',
+	'\u1E43': 'm\u0323', '\u1E44': 'N\u0307', '\u1E45': 'n\u0307', '\u1E46': 'N\u0323', '\u1E47': 'n\u0323', '\u1E48': 'N\u0331',
+	'\u1E49': 'n\u0331', '\u1E4A': 'N\u032D', '\u1E4B': 'n\u032D', '\u1E4C': '\u00D5\u0301', '\u1E4D': '\u00F5\u0301', '\u1E4E': '\u00D5\u0308',
+	'\u1E4F': '\u00F5\u0308', '\u1E50': '\u014C\u0300', '\u1E51': '\u014D\u0300', '\u1E52': '\u014C\u0301', '\u1E53': '\u014D\u0301', '\u1E54': 'P\u0301',
+	'\u1E55': 'p\u0301', '\u1E56': 'P\u0307', '\u1E57': 'p\u0307', '\u1E58': 'R\u0307', '\u1E59': 'r\u0307', '\u1E5A': 'R\u0323',
+	'\u1E5B': 'r\u0323', '\u1E5C': '\u1E5A\u0304', '\u1E5D': '\u1E5B\u0304', '\u1E5E': 'R\u0331', '\u1E5F': 'r\u0331', '\u1E60': 'S\u0307',
+	'\u1E61': 's\u0307', '\u1E62': 'S\u0323', '\u1E63': 's\u0323', '\u1E64': '\u015A\u0307', '\u1E65': '\u015B\u0307', '\u1E66': '\u0160\u0307',
+	'\u1E67': '\u0161\u0307', '\u1E68': '\u1E62\u0307', '\u1E69': '\u1E63\u0307', '\u1E6A': 'T\u0307', '\u1E6B': 't\u0307', '\u1E6C': 'T\u0323',
+	'\u1E6D': 't\u0323', '\u1E6E': 'T\u0331', '\u1E6F': 't\u0331', '\u1E70': 'T\u032D', '\u1E71': 't\u032D', '\u1E72': 'U\u0324',
+	'\u1E73': 'u\u0324', '\u1E74': 'U\u0330', '\u1E75': 'u\u0330', '\u1E76': 'U\u032D', '\u1E77': 'u\u032D', '\u1E78': '\u0168\u0301',
+	'\u1E79': '\u0169\u0301', '\u1E7A': '\u016A\u0308', '\u1E7B': '\u016B\u0308', '\u1E7C': 'V\u0303', '\u1E7D': 'v\u0303', '\u1E7E': 'V\u0323',
+	'\u1E7F': 'v\u0323', '\u1E80': 'W\u0300', '\u1E81': 'w\u0300', '\u1E82': 'W\u0301', '\u1E83': 'w\u0301', '\u1E84': 'W\u0308',
+	'\u1E85': 'w\u0308', '\u1E86': 'W\u0307', '\u1E87': 'w\u0307', '\u1E88': 'W\u0323', '\u1E89': 'w\u0323', '\u1E8A': 'X\u0307',
+	'\u1E8B': 'x\u0307', '\u1E8C': 'X\u0308', '\u1E8D': 'x\u0308', '\u1E8E': 'Y\u0307', '\u1E8F': 'y\u0307', '\u1E90': 'Z\u0302',
+	'\u1E91': 'z\u0302', '\u1E92': 'Z\u0323', '\u1E93': 'z\u0323', '\u1E94': 'Z\u0331', '\u1E95': 'z\u0331', '\u1E96': 'h\u0331',
+	'\u1E97': 't\u0308', '\u1E98': 'w\u030A', '\u1E99': 'y\u030A', '\u1E9B': '\u017F\u0307', '\u1EA0': 'A\u0323', '\u1EA1': 'a\u0323',
+	'\u1EA2': 'A\u0309', '\u1EA3': 'a\u0309', '\u1EA4': '\u00C2\u0301', '\u1EA5': '\u00E2\u0301', '\u1EA6': '\u00C2\u0300', '\u1EA7': '\u00E2\u0300',
+	'\u1EA8': '\u00C2\u0309', '\u1EA9': '\u00E2\u0309', '\u1EAA': '\u00C2\u0303', '\u1EAB': '\u00E2\u0303', '\u1EAC': '\u1EA0\u0302', '\u1EAD': '\u1EA1\u0302',
+	'\u1EAE': '\u0102\u0301', '\u1EAF': '\u0103\u0301', '\u1EB0': '\u0102\u0300', '\u1EB1': '\u0103\u0300', '\u1EB2': '\u0102\u0309', '\u1EB3': '\u0103\u0309',
+	'\u1EB4': '\u0102\u0303', '\u1EB5': '\u0103\u0303', '\u1EB6': '\u1EA0\u0306', '\u1EB7': '\u1EA1\u0306', '\u1EB8': 'E\u0323', '\u1EB9': 'e\u0323',
+	'\u1EBA': 'E\u0309', '\u1EBB': 'e\u0309', '\u1EBC': 'E\u0303', '\u1EBD': 'e\u0303', '\u1EBE': '\u00CA\u0301', '\u1EBF': '\u00EA\u0301',
+	'\u1EC0': '\u00CA\u0300', '\u1EC1': '\u00EA\u0300', '\u1EC2': '\u00CA\u0309', '\u1EC3': '\u00EA\u0309', '\u1EC4': '\u00CA\u0303', '\u1EC5': '\u00EA\u0303',
+	'\u1EC6': '\u1EB8\u0302', '\u1EC7': '\u1EB9\u0302', '\u1EC8': 'I\u0309', '\u1EC9': 'i\u0309', '\u1ECA': 'I\u0323', '\u1ECB': 'i\u0323',
+	'\u1ECC': 'O\u0323', '\u1ECD': 'o\u0323', '\u1ECE': 'O\u0309', '\u1ECF': 'o\u0309', '\u1ED0': '\u00D4\u0301', '\u1ED1': '\u00F4\u0301',
+	'\u1ED2': '\u00D4\u0300', '\u1ED3': '\u00F4\u0300', '\u1ED4': '\u00D4\u0309', '\u1ED5': '\u00F4\u0309', '\u1ED6': '\u00D4\u0303', '\u1ED7': '\u00F4\u0303',
+	'\u1ED8': '\u1ECC\u0302', '\u1ED9': '\u1ECD\u0302', '\u1EDA': '\u01A0\u0301', '\u1EDB': '\u01A1\u0301', '\u1EDC': '\u01A0\u0300', '\u1EDD': '\u01A1\u0300',
+	'\u1EDE': '\u01A0\u0309', '\u1EDF': '\u01A1\u0309', '\u1EE0': '\u01A0\u0303', '\u1EE1': '\u01A1\u0303', '\u1EE2': '\u01A0\u0323', '\u1EE3': '\u01A1\u0323',
+	'\u1EE4': 'U\u0323', '\u1EE5': 'u\u0323', '\u1EE6': 'U\u0309', '\u1EE7': 'u\u0309', '\u1EE8': '\u01AF\u0301', '\u1EE9': '\u01B0\u0301',
+	'\u1EEA': '\u01AF\u0300', '\u1EEB': '\u01B0\u0300', '\u1EEC': '\u01AF\u0309', '\u1EED': '\u01B0\u0309', '\u1EEE': '\u01AF\u0303', '\u1EEF': '\u01B0\u0303',
+	'\u1EF0': '\u01AF\u0323', '\u1EF1': '\u01B0\u0323', '\u1EF2': 'Y\u0300', '\u1EF3': 'y\u0300', '\u1EF4': 'Y\u0323', '\u1EF5': 'y\u0323',
+	'\u1EF6': 'Y\u0309', '\u1EF7': 'y\u0309', '\u1EF8': 'Y\u0303', '\u1EF9': 'y\u0303'
+}
\ No newline at end of file
@@ -0,0 +1,321 @@
+﻿/*
+ * Print measurement units: parsing strings like ``12p6`` or ``3mm``, 
+ * conversion and arithmetic on measurements in mixed units.
+ */
+
+/**
+ * @desc How many points go into each unit. Picas and ciceros are divided 
+ * into 12 points (respectively Didot points) each, agates are 1/14th of an inch, 
+ * and pixels are assumed to be 72 to an inch, just like in InDesign and Illustrator.
+ */
+
+var points_per = exports.points_per = {
+	'pt': 1, 
+	'pc': 12, 
+	'in': 72, 
+	'mm': 72 / 25.4, 
+	'cm': 72 / 2.54, 
+	// a Didot point is 0.376065 mm
+	'c': 12 * 0.376065 * 72 / 25.4, 
+	'ag': 72 / 14, 
+	'px': 1
+}
+
+var aliases = {
+	'point': 'pt', 'points': 'pt', 'pts': 'pt', 
+	'p': 'pc', 'pica': 'pc', 'picas': 'pc', 
+	'inch': 'in', 'inches': 'in', '"': 'in', 
+	'millimeter': 'mm', 'millimeters': 'mm', 'millimetre': 'mm', 'millimetres': 'mm', 
+	'centimeter': 'cm', 'centimeters': 'cm', 'centimetre': 'cm', 'centimetres': 'cm', 
+	'cicero': 'c', 'ciceros': 'c', 
+	'agate': 'ag', 'agates': 'ag', 
+	'pixel': 'px', 'pixels': 'px'
+}
+
+// InDesign's MeasurementUnits enumeration
+var indesign_units = {
+	'POINTS': 'pt', 
+	'PICAS': 'pc', 
+	'INCHES': 'in', 
+	'INCHES_DECIMAL': 'in', 
+	'MILLIMETERS': 'mm', 
+	'CENTIMETERS': 'cm', 
+	'CICEROS': 'c', 
+	'AGATES': 'ag', 
+	'PIXELS': 'px'
+}
+
+/**
+ * @desc Turns a unit name or abbreviation (``inches``, ``picas``, ``"``) 
+ * into its canonical abbreviation (``in``, ``pc``, ``in``).
+ * @param {String} unit
+ * @returns {String}
+ * @throws {RangeError} When the unit is unknown.
+ */
+
+exports.normalize = function (unit) {
+	var name = String(unit).toLowerCase();
+	if (aliases.hasOwnProperty(name)) name = aliases[name];
+	if (!points_per.hasOwnProperty(name)) {
+		throw new RangeError("Unknown unit: {}".format(unit));
+	}
+	return name;
+}
+
+// e.g. 12.5 picas becomes 12p6
+function _format_subdivided (value, unit, precision) {
+	var sign = value < 0 ? '-' : '';
+	var whole = Math.floor(Math.abs(value));
+	var rest = Number(((Math.abs(value) - whole) * 12).toFixed(precision));
+	if (rest >= 12) {
+		whole += 1;
+		rest = 0;
+	}
+	return sign + whole + (unit == 'pc' ? 'p' : 'c') + rest;
+}
+
+/**
+ * @class
+ * @desc A measurement: a number and a unit. Measurements can be converted to 
+ * other units, and you can add, subtract and compare measurements in 
+ * different units. Arithmetic returns a new measurement, in the unit of the 
+ * measurement you started from.
+ *
+ * ``valueOf`` returns the measurement in points, so comparison operators 
+ * like ``<`` and ``>`` work too, regardless of unit.
+ *
+ * @param {Number} value
+ * @param {String} [unit="pt"] ``pt``, ``pc``, ``in``, ``mm``, ``cm``, ``c`` (ciceros), 
+ *     ``ag`` (agates) or ``px``, or any of their full names.
+ *
+ * @example
+ *     var units = require("units");
+ *     var gutter = units.parse("1p6");
+ *     var column = units.parse("45mm");
+ *     column.add(gutter).format();
+ *     // "51.35mm"
+ *     column.add(gutter).format('pc');
+ *     // "12p1.559"
+ */
+
+function Measurement (value, unit) {
+	var self = this;
+	this.value = Number(value);
+	this.unit = exports.normalize(unit || 'pt');
+
+	/**
+	 * @desc The measurement in points.
+	 * @returns {Number}
+	 */
+	this.valueOf = function () {
+		return self.value * points_per[self.unit];
+	}
+
+	/**
+	 * @desc The value of this measurement in a different unit.
+	 * @param {String} unit
+	 * @returns {Number}
+	 */
+	this.as = function (unit) {
+		return self.valueOf() / points_per[exports.normalize(unit)];
+	}
+
+	/**
+	 * @desc Converts this measurement to a different unit.
+	 * @param {String} unit
+	 * @returns {Measurement}
+	 */
+	this.to = function (unit) {
+		return new Measurement(self.as(unit), unit);
+	}
+
+	/**
+	 * @desc Adds one or more measurements to this one. 
+	 * Takes measurements, strings like ``3mm`` and plain numbers, 
+	 * which are assumed to be in the same unit as this measurement.
+	 * @returns {Measurement}
+	 */
+	this.add = function () {
+		var points = self.valueOf();
+		for (var i = 0; i < arguments.length; i++) {
+			points += exports.parse(arguments[i], self.unit).valueOf();
+		}
+		return new Measurement(points, 'pt').to(self.unit);
+	}
+
+	/**
+	 * @desc Subtracts one or more measurements from this one. 
+	 * Takes the same kind of arguments as :func:`Measurement#add`.
+	 * @returns {Measurement}
+	 */
+	this.subtract = function () {
+		var points = self.valueOf();
+		for (var i = 0; i < arguments.length; i++) {
+			points -= exports.parse(arguments[i], self.unit).valueOf();
+		}
+		return new Measurement(points, 'pt').to(self.unit);
+	}
+
+	/**
+	 * @param {Number} factor
+	 * @returns {Measurement}
+	 */
+	this.multiply = function (factor) {
+		return new Measurement(self.value * factor, self.unit);
+	}
+
+	/**
+	 * @desc Divides this measurement by a number, which gives you a measurement, 
+	 * or by another measurement, which gives you their ratio.
+	 * @param {Number|Measurement|String} divisor
+	 * @returns {Measurement|Number}
+	 *
+	 * @example
+	 *     > units.parse("210mm").divide("1p6");
+	 *     33.07
+	 */
+	this.divide = function (divisor) {
+		if (typeof divisor == 'number') {
+			return new Measurement(self.value / divisor, self.unit);
+		} else {
+			return self.valueOf() / exports.parse(divisor).valueOf();
+		}
+	}
+
+	/**
+	 * @desc Compares this measurement to another one.
+	 * @returns {Number} ``-1`` if this measurement is smaller, ``1`` if it's 
+	 *     larger and ``0`` if both are equal, give or take a millionth of a point.
+	 */
+	this.compare = function (other) {
+		var difference = self.valueOf() - exports.parse(other, self.unit).valueOf();
+		if (Math.abs(difference) < 1e-6) return 0;
+		return difference < 0 ? -1 : 1;
+	}
+
+	/**
+	 * @desc Whether two measurements are equal, give or take a millionth of a point, 
+	 * regardless of their units.
+	 * @returns {Bool}
+	 */
+	this.equals = function (other) {
+		return self.compare(other) == 0;
+	}
+
+	/**
+	 * @desc Formats the measurement. Picas and ciceros use the same notation 
+	 * as InDesign, e.g. ``12p6`` for 12 picas and 6 points.
+	 * @param {String} [unit] Defaults to the unit of this measurement.
+	 * @param {Number} [precision=3] The maximum number of decimals.
+	 * @returns {String}
+	 */
+	this.format = function (unit, precision) {
+		var unit = exports.normalize(unit || self.unit);
+		var precision = precision === undefined ? 3 : precision;
+		var value = self.as(unit);
+		if (unit == 'pc' || unit == 'c') {
+			return _format_subdivided(value, unit, precision);
+		} else {
+			// Number() gets rid of trailing zeroes
+			return Number(value.toFixed(precision)) + unit;
+		}
+	}
+
+	this.toString = function () {
+		return self.format();
+	}
+}
+
+exports.Measurement = Measurement;
+
+/**
+ * @desc Parses a measurement, like ``12pt``, ``3.5 mm``, ``0.25in``, ``2"`` 
+ * or ``12p6`` (12 picas and 6 points; ``p6`` is 6 points and ``1c6`` is 
+ * a cicero and 6 Didot points).
+ * @param {String|Number|Measurement} str Measurements get passed through.
+ * @param {String} [default_unit="pt"] The unit for numbers and for strings without a unit.
+ * @returns {Measurement}
+ * @throws {ParseError} When the string isn't a measurement.
+ * @throws {RangeError} When the string has a unit we don't know about.
+ */
+
+exports.parse = function (str, default_unit) {
+	if (str instanceof Measurement) return str;
+	if (typeof str == 'number') return new Measurement(str, default_unit);
+
+	var number = '(\\d+(?:\\.\\d*)?|\\.\\d+)';
+	var syntax = new RegExp('^([+-])?' + number + '?\\s*([a-z"]+)?\\s*' + number + '?$', 'i');
+	var match = syntax.exec(String(str).trim());
+	if (!match || (match[2] === undefined && match[4] === undefined)) {
+		throw new ParseError("Can't parse {} as a measurement".format(str));
+	}
+	var unit = exports.normalize(match[3] || default_unit || 'pt');
+	var value = Number(match[2] || 0);
+	if (match[4] !== undefined) {
+		// picas and ciceros can be followed by points, e.g. 12p6
+		if (!match[3] || (unit != 'pc' && unit != 'c')) {
+			throw new ParseError("Can't parse {} as a measurement".format(str));
+		}
+		value += Number(match[4]) / 12;
+	}
+	if (match[1] == '-') value = -value;
+	return new Measurement(value, unit);
+}
+
+/**
+ * @desc Converts a measurement to a different unit.
+ * @param {String|Number|Measurement} value
+ * @param {String} unit
+ * @param {String} [default_unit="pt"] The unit for numbers and for strings without a unit.
+ * @returns {Number}
+ *
+ * @example
+ *     > units.convert("12p6", "mm");
+ *     52.917
+ */
+
+exports.convert = function (value, unit, default_unit) {
+	return exports.parse(value, default_unit).as(unit);
+}
+
+/**
+ * @desc Formats a measurement in a specific unit.
+ * @param {String|Number|Measurement} value
+ * @param {String} unit
+ * @param {Number} [precision=3]
+ * @returns {String}
+ *
+ * @example
+ *     > units.format("150pt", "pc");
+ *     "12p6"
+ */
+
+exports.format = function (value, unit, precision) {
+	return exports.parse(value).format(unit, precision);
+}
+
+/**
+ * @desc The measurement unit InDesign uses for a document, so you can work with 
+ * measurements in whatever unit you like, and convert to document units 
+ * when you need to talk to the DOM.
+ * @param {String} [axis="horizontal"] ``horizontal`` or ``vertical``
+ * @param {Document} [doc] Defaults to the active document.
+ * @returns {String}
+ *
+ * @example
+ *     var units = require("units");
+ *     var unit = units.document_unit();
+ *     frame.move(undefined, [units.convert("3mm", unit), 0]);
+ */
+
+exports.document_unit = function (axis, doc) {
+	var doc = doc || current('document');
+	var axis = axis || 'horizontal';
+	var enumerator = doc.viewPreferences[axis + 'MeasurementUnits'];
+	for (var name in indesign_units) {
+		if (indesign_units.hasOwnProperty(name) && MeasurementUnits[name] == enumerator) {
+			return indesign_units[name];
+		}
+	}
+	throw new RangeError("Unsupported measurement unit: {}".format(enumerator));
+}
\ No newline at end of file
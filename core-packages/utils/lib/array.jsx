@@ -1,6 +1,6 @@
 ﻿// note: the Mozilla stuff is MIT licensed!
 
-var utils = require("utils/object");
+var utils = require("./object");
 
 /* Javascript 1.6 Array extras, courtesy of Mozilla */
 
@@ -16,7 +16,7 @@ exports.indexOf = function(self, elt /*, from*/)
   {
     var len = self.length >>> 0;
 
-    var from = Number(arguments[1]) || 0;
+    var from = Number(arguments[2]) || 0;
     from = (from < 0)
          ? Math.ceil(from)
          : Math.floor(from);
@@ -60,7 +60,7 @@ exports.lastIndexOf = function(self, elt /*, from*/)
   {
     var len = self.length;
 
-    var from = Number(arguments[1]);
+    var from = Number(arguments[2]);
     if (isNaN(from))
     {
       from = len - 1;
@@ -332,6 +332,15 @@ exports.pluck = function (self, name) {
 	});
 }
 
+// A salient feature is either a function or the name of an object property.
+function _salient_feature (salient) {
+	if (salient && salient.is(String)) {
+		return function (obj) { return obj[salient]; }
+	} else {
+		return salient || function (obj) { return obj; }
+	}
+}
+
 /**
  * @desc Returns the maximum value in an selfay.
  *
@@ -348,18 +357,12 @@ exports.pluck = function (self, name) {
  */
 
 exports.max = function (self, salient) {
-	if (salient && salient.is(String)) {
-		var mapper = function (obj) { return obj[salient]; }
-	} else {
-		var mapper = salient || function (obj) { return obj; }
+	var mapper = _salient_feature(salient);
+	var max;
+	for (var i = 0; i < self.length; i++) {
+		if (i == 0 || mapper(self[i]) > mapper(max)) max = self[i];
 	}
-	
-	function fn (a, b) {
-		return mapper(a) > mapper(b);
-	}
-	var selfay = utils.clone(selfay);
-	selfay.sort(fn);
-	return selfay.pop();
+	return max;
 };
 
 /**
@@ -369,18 +372,12 @@ exports.max = function (self, salient) {
  */
 
 exports.min = function (self, salient) {
-	if (salient && salient.is(String)) {
-		var mapper = function (obj) { return obj[salient]; }
-	} else {
-		var mapper = salient || function (obj) { return obj; }
+	var mapper = _salient_feature(salient);
+	var min;
+	for (var i = 0; i < self.length; i++) {
+		if (i == 0 || mapper(self[i]) < mapper(min)) min = self[i];
 	}
-	
-	function fn (a, b) {
-		return mapper(a) > mapper(b);
-	}
-	var selfay = utils.clone(self);
-	selfay.sort(fn);
-	return selfay.shift();
+	return min;
 }
 
 /**
@@ -399,13 +396,7 @@ exports.min = function (self, salient) {
  */
 
 exports.sum = function (self, salient) {
-	if (salient && salient.is(String)) {
-		var mapper = function (obj) { return obj[salient]; }
-	} else {
-		var mapper = salient || function (obj) { return obj; }
-	}
-
-	var features = exports.map(self, mapper);
+	var features = exports.map(self, _salient_feature(salient));
 	return exports.reduce(features, function (a, b) { return a + b; });	
 }
 
@@ -478,4 +469,232 @@ exports.last = function (self) {
 
 exports.contains = function (self, obj) {
 	return exports.indexOf(self, obj) != -1;
+}
+
+/**
+ * @desc Groups the items in an array by a salient feature.
+ * @param {Function|String} salient_feature See ``max``.
+ * @returns {Object} An object with an array of items for each value of the salient feature.
+ *
+ * @example
+ *     > ['one', 'two', 'three'].group_by('length');
+ *     {'3': ['one', 'two'], '5': ['three']}
+ */
+
+exports.group_by = function (self, salient) {
+	var mapper = _salient_feature(salient);
+	var groups = {};
+	exports.forEach(self, function (item) {
+		var key = mapper(item);
+		if (!groups.hasOwnProperty(key)) groups[key] = [];
+		groups[key].push(item);
+	});
+	return groups;
+}
+
+/**
+ * @desc Counts how many items in an array share the same salient feature.
+ * @param {Function|String} salient_feature See ``max``.
+ * @returns {Object} An object with the number of items for each value of the salient feature.
+ *
+ * @example
+ *     > [1, 2, 3, 4, 5].count_by(function (n) { return n % 2 ? 'odd' : 'even'; });
+ *     {'odd': 3, 'even': 2}
+ */
+
+exports.count_by = function (self, salient) {
+	var mapper = _salient_feature(salient);
+	var counts = {};
+	exports.forEach(self, function (item) {
+		var key = mapper(item);
+		counts[key] = counts.hasOwnProperty(key) ? counts[key] + 1 : 1;
+	});
+	return counts;
+}
+
+/**
+ * @desc Indexes the items in an array by a salient feature that's unique to each item, 
+ * like an id. If two items share the same feature, the last one wins.
+ * @param {Function|String} salient_feature See ``max``.
+ * @returns {Object}
+ *
+ * @example
+ *     > var people = [{'id': 'alf', 'name': 'Alfred'}, {'id': 'zed', 'name': 'Zed'}];
+ *     > people.index_by('id')['zed'].name;
+ *     'Zed'
+ */
+
+exports.index_by = function (self, salient) {
+	var mapper = _salient_feature(salient);
+	var index = {};
+	exports.forEach(self, function (item) {
+		index[mapper(item)] = item;
+	});
+	return index;
+}
+
+/**
+ * @desc Returns a sorted copy of the array. The sort is stable: items that 
+ * are equal keep their original order. Pass in more than one salient feature 
+ * to break ties. Prefix property names with a minus to sort in descending order.
+ * @param {Function|String} salient_feature See ``max``.
+ *
+ * @example
+ *     > people.sort_by('-age', 'name');
+ */
+
+exports.sort_by = function (self) {
+	var keys = arguments.to('array').slice(1).map(function (salient) {
+		var descending = salient.is(String) && salient.startswith('-');
+		return {
+			'mapper': _salient_feature(descending ? salient.slice(1) : salient), 
+			'direction': descending ? -1 : 1
+		};
+	});
+	if (!keys.length) keys.push({'mapper': _salient_feature(), 'direction': 1});
+
+	// decorate-sort-undecorate, with the original position as the final tie-breaker
+	var decorated = exports.map(self, function (item, i) {
+		return {
+			'item': item, 
+			'position': i, 
+			'features': exports.map(keys, function (key) { return key.mapper(item); })
+		};
+	});
+	decorated.sort(function (a, b) {
+		for (var i = 0; i < keys.length; i++) {
+			if (a.features[i] < b.features[i]) return -keys[i].direction;
+			if (a.features[i] > b.features[i]) return keys[i].direction;
+		}
+		return a.position - b.position;
+	});
+	return exports.pluck(decorated, 'item');
+}
+
+/**
+ * @desc Returns a copy of the array without duplicates, keeping the first occurrence of each item.
+ * @param {Function|String} [salient_feature] Items with the same salient feature 
+ *     count as duplicates. See ``max``.
+ *
+ * @example
+ *     > [1, 2, 1, 3, 2].unique();
+ *     [1, 2, 3]
+ */
+
+exports.unique = function (self, salient) {
+	var mapper = _salient_feature(salient);
+	var seen = [];
+	return exports.filter(self, function (item) {
+		var feature = mapper(item);
+		if (exports.contains(seen, feature)) return false;
+		seen.push(feature);
+		return true;
+	});
+}
+
+/**
+ * @desc Merges this array with one or more other arrays into an array 
+ * of arrays, each with the items at the same position. 
+ * The result is as long as the shortest array.
+ * @param {Array} arrays
+ *
+ * @example
+ *     > ['a', 'b', 'c'].zip([1, 2, 3]);
+ *     [['a', 1], ['b', 2], ['c', 3]]
+ */
+
+exports.zip = function (self) {
+	var arrays = arguments.to('array');
+	var length = exports.min(arrays, 'length').length;
+	var zipped = [];
+	for (var i = 0; i < length; i++) {
+		zipped.push(exports.pluck(arrays, i));
+	}
+	return zipped;
+}
+
+/**
+ * @desc Splits an array in two: the items for which the salient feature is truthy, and the rest.
+ * @param {Function|String} salient_feature See ``max``.
+ * @returns {Array} An array with two arrays.
+ *
+ * @example
+ *     > [1, 2, 3, 4, 5].partition(function (n) { return n > 3; });
+ *     [[4, 5], [1, 2, 3]]
+ */
+
+exports.partition = function (self, salient) {
+	var mapper = _salient_feature(salient);
+	var partitions = [[], []];
+	exports.forEach(self, function (item) {
+		partitions[mapper(item) ? 0 : 1].push(item);
+	});
+	return partitions;
+}
+
+/**
+ * @desc Splits an array into arrays of (at most) ``size`` items.
+ * @param {Number} size
+ *
+ * @example
+ *     > [1, 2, 3, 4, 5].chunk(2);
+ *     [[1, 2], [3, 4], [5]]
+ */
+
+exports.chunk = function (self, size) {
+	if (!(size > 0)) throw new RangeError("Chunk size should be a positive number");
+	var chunks = [];
+	for (var i = 0; i < self.length; i += size) {
+		chunks.push(self.slice(i, i + size));
+	}
+	return chunks;
+}
+
+/**
+ * @desc Returns the items in this array that aren't in any of the other arrays.
+ * @param {Array} arrays
+ * @param {Function|String} [salient_feature] Pass this after the arrays to compare 
+ *     items by a salient feature instead of by identity. See ``max``.
+ *
+ * @example
+ *     > [1, 2, 3, 4].difference([2, 4], [1]);
+ *     [3]
+ *     > [{'id': 1}, {'id': 2}].difference([{'id': 2}], 'id');
+ *     [{'id': 1}]
+ */
+
+exports.difference = function (self) {
+	var others = arguments.to('array').slice(1);
+	// a last argument that isn't an array is the salient feature
+	var salient = others.length && !(others.slice(-1)[0] instanceof Array) ? others.pop() : undefined;
+	var mapper = _salient_feature(salient);
+	var features = exports.map(Array.prototype.concat.apply([], others), mapper);
+	return exports.reject(self, function (item) {
+		return exports.contains(features, mapper(item));
+	});
+}
+
+/**
+ * @desc Returns the items in this array that are also in each of the other arrays, without duplicates.
+ * @param {Array} arrays
+ * @param {Function|String} [salient_feature] See ``difference``.
+ *
+ * @example
+ *     > [1, 2, 3, 4].intersection([2, 3, 4, 5], [3, 4, 6]);
+ *     [3, 4]
+ */
+
+exports.intersection = function (self) {
+	var others = arguments.to('array').slice(1);
+	var salient = others.length && !(others.slice(-1)[0] instanceof Array) ? others.pop() : undefined;
+	var mapper = _salient_feature(salient);
+	var features = exports.map(others, function (other) {
+		return exports.map(other, mapper);
+	});
+	return exports.filter(exports.unique(self, salient), function (item) {
+		var feature = mapper(item);
+		return exports.every(features, function (other) {
+			return exports.contains(other, feature);
+		});
+	});
 }
\ No newline at end of file
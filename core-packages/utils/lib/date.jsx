@@ -19,4 +19,405 @@ exports.timer = {
 			return duration;
 		}
 	}
+}
+
+var _month_names = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 
+	'August', 'September', 'October', 'November', 'December'];
+var _day_names = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function _zero_pad (number, width) {
+	var str = String(Math.abs(number));
+	while (str.length < width) str = '0' + str;
+	return str;
+}
+
+function _days_in_month (year, month) {
+	return new Date(year, month + 1, 0).getDate();
+}
+
+// e.g. +01:00 for Central European Time
+function _utc_offset (minutes, separator) {
+	var sign = minutes < 0 ? '-' : '+';
+	minutes = Math.abs(minutes);
+	return sign + _zero_pad(Math.floor(minutes / 60), 2) + separator + _zero_pad(minutes % 60, 2);
+}
+
+function _date_fields (date, utc) {
+	var get = utc ? 'getUTC' : 'get';
+	return {
+		'year': date[get + 'FullYear'](), 
+		'month': date[get + 'Month'](), 
+		'day': date[get + 'Date'](), 
+		'weekday': date[get + 'Day'](), 
+		'hours': date[get + 'Hours'](), 
+		'minutes': date[get + 'Minutes'](), 
+		'seconds': date[get + 'Seconds'](), 
+		'milliseconds': date[get + 'Milliseconds'](), 
+		// getTimezoneOffset is positive west of Greenwich, 
+		// which is the opposite of what people expect
+		'offset': utc ? 0 : -date.getTimezoneOffset()
+	};
+}
+
+/**
+ * @desc Formats a date using the same directives as the ``strftime`` function 
+ * in C and Python, but with English month and day names regardless of the locale, 
+ * so the output is the same on every platform.
+ *
+ * ========= ===================================================
+ * directive meaning
+ * ========= ===================================================
+ * ``%a``    abbreviated weekday name (``Mon``)
+ * ``%A``    full weekday name (``Monday``)
+ * ``%b``    abbreviated month name (``Jan``)
+ * ``%B``    full month name (``January``)
+ * ``%d``    day of the month (``01`` to ``31``)
+ * ``%e``    day of the month, without zero-padding (``1`` to ``31``)
+ * ``%H``    hour, 24-hour clock (``00`` to ``23``)
+ * ``%I``    hour, 12-hour clock (``01`` to ``12``)
+ * ``%j``    day of the year (``001`` to ``366``)
+ * ``%L``    milliseconds (``000`` to ``999``)
+ * ``%m``    month (``01`` to ``12``)
+ * ``%M``    minutes (``00`` to ``59``)
+ * ``%p``    ``AM`` or ``PM``
+ * ``%S``    seconds (``00`` to ``59``)
+ * ``%s``    seconds since the epoch
+ * ``%u``    weekday, Monday is ``1`` and Sunday is ``7``
+ * ``%w``    weekday, Sunday is ``0`` and Saturday is ``6``
+ * ``%y``    year without the century (``00`` to ``99``)
+ * ``%Y``    four-digit year (``2010``)
+ * ``%z``    UTC offset (``+0100``)
+ * ``%F``    shorthand for ``%Y-%m-%d``
+ * ``%T``    shorthand for ``%H:%M:%S``
+ * ``%%``    a literal ``%``
+ * ========= ===================================================
+ *
+ * @param {String} format
+ * @param {Bool} [utc=false] Format the date in UTC rather than local time.
+ * @returns {String}
+ *
+ * @example
+ *     > dates.strftime(new Date(2010, 10, 1, 14, 5), "%A %e %B %Y, %I:%M %p");
+ *     "Monday 1 November 2010, 02:05 PM"
+ */
+
+exports.strftime = function (self, format, utc) {
+	var date = self;
+	var fields = _date_fields(self, utc);
+	var directives = {
+		'a': function () { return _day_names[fields.weekday].substr(0, 3); }, 
+		'A': function () { return _day_names[fields.weekday]; }, 
+		'b': function () { return _month_names[fields.month].substr(0, 3); }, 
+		'B': function () { return _month_names[fields.month]; }, 
+		'd': function () { return _zero_pad(fields.day, 2); }, 
+		'e': function () { return fields.day; }, 
+		'H': function () { return _zero_pad(fields.hours, 2); }, 
+		'I': function () { return _zero_pad(fields.hours % 12 || 12, 2); }, 
+		'j': function () {
+			var start = Date.UTC(fields.year, 0, 1);
+			var today = Date.UTC(fields.year, fields.month, fields.day);
+			return _zero_pad((today - start) / 86400000 + 1, 3);
+		}, 
+		'L': function () { return _zero_pad(fields.milliseconds, 3); }, 
+		'm': function () { return _zero_pad(fields.month + 1, 2); }, 
+		'M': function () { return _zero_pad(fields.minutes, 2); }, 
+		'p': function () { return fields.hours < 12 ? 'AM' : 'PM'; }, 
+		'S': function () { return _zero_pad(fields.seconds, 2); }, 
+		's': function () { return Math.floor(date.getTime() / 1000); }, 
+		'u': function () { return fields.weekday || 7; }, 
+		'w': function () { return fields.weekday; }, 
+		'y': function () { return _zero_pad(fields.year % 100, 2); }, 
+		'Y': function () { return _zero_pad(fields.year, 4); }, 
+		'z': function () { return _utc_offset(fields.offset, ''); }, 
+		'F': function () { return exports.strftime(date, '%Y-%m-%d', utc); }, 
+		'T': function () { return exports.strftime(date, '%H:%M:%S', utc); }, 
+		'%': function () { return '%'; }
+	};
+
+	return format.replace(/%(.)/g, function (match, directive) {
+		if (directives.hasOwnProperty(directive)) {
+			return directives[directive]();
+		} else {
+			return match;
+		}
+	});
+}
+
+/**
+ * @desc The inverse of :func:`strftime`: parses a string into a date, 
+ * according to a format. Supports the ``%a``, ``%A``, ``%b``, ``%B``, ``%d``, ``%e``, 
+ * ``%H``, ``%I``, ``%L``, ``%m``, ``%M``, ``%p``, ``%S``, ``%y``, ``%Y``, ``%z``, 
+ * ``%F``, ``%T`` and ``%%`` directives. Month and day names are matched 
+ * regardless of case, and whitespace in the format matches any amount of whitespace.
+ *
+ * Dates are interpreted as local time, unless the format includes a UTC offset (``%z``), 
+ * which can be written as ``Z``, ``+01``, ``+0100`` or ``+01:00``.
+ *
+ * @param {String} string
+ * @param {String} format
+ * @returns {Date}
+ * @throws {ParseError} When the string doesn't match the format or isn't a valid date.
+ *
+ * @example
+ *     > dates.strptime("1 Nov 2010 14:05", "%d %b %Y %H:%M");
+ */
+
+exports.strptime = function (string, format) {
+	var months = '(' + _month_names.join('|') + '|' + _month_names.map(function (name) {
+		return name.substr(0, 3);
+	}).join('|') + ')';
+	var days = '(' + _day_names.join('|') + '|' + _day_names.map(function (name) {
+		return name.substr(0, 3);
+	}).join('|') + ')';
+	var patterns = {
+		'a': days, 'A': days, 
+		'b': months, 'B': months, 
+		'd': '(\\d{1,2})', 'e': '(\\d{1,2})', 
+		'H': '(\\d{1,2})', 'I': '(\\d{1,2})', 
+		'L': '(\\d{3})', 
+		'm': '(\\d{1,2})', 'M': '(\\d{2})', 
+		'p': '(AM|PM)', 'S': '(\\d{2})', 
+		'y': '(\\d{2})', 'Y': '(\\d{4})', 
+		'z': '(Z|[+-]\\d{2}(?::?\\d{2})?)'
+	};
+
+	format = format.replace(/%F/g, '%Y-%m-%d').replace(/%T/g, '%H:%M:%S');
+	var fields = [];
+	var pattern = format.replace(/%(.)|(\s+)|([^%\s]+)/g, function (match, directive, space, literal) {
+		if (space) return '\\s+';
+		if (literal) return literal.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+		if (directive == '%') return '%';
+		if (!patterns.hasOwnProperty(directive)) {
+			throw new ParseError("Unsupported directive %" + directive + " in date format");
+		}
+		fields.push(directive);
+		return patterns[directive];
+	});
+	var match = new RegExp('^\\s*' + pattern + '\\s*$', 'i').exec(string);
+	if (!match) {
+		throw new ParseError('"' + string + '" does not match the date format "' + format + '"');
+	}
+
+	var parts = {'year': 1900, 'month': 0, 'day': 1, 'hours': 0, 'minutes': 0, 'seconds': 0, 'milliseconds': 0};
+	var pm = null;
+	var offset = null;
+	for (var i = 0; i < fields.length; i++) {
+		var value = match[i+1];
+		switch (fields[i]) {
+			case 'b':
+			case 'B':
+				parts.month = _month_names.map(function (name) {
+					return name.substr(0, 3).toLowerCase();
+				}).indexOf(value.substr(0, 3).toLowerCase());
+				break;
+			case 'd': case 'e': parts.day = Number(value); break;
+			case 'H': case 'I': parts.hours = Number(value); break;
+			case 'L': parts.milliseconds = Number(value); break;
+			case 'm': parts.month = Number(value) - 1; break;
+			case 'M': parts.minutes = Number(value); break;
+			case 'p': pm = value.toUpperCase() == 'PM'; break;
+			case 'S': parts.seconds = Number(value); break;
+			// the POSIX convention: 69-99 are 1969-1999, 00-68 are 2000-2068
+			case 'y': parts.year = Number(value) + (Number(value) < 69 ? 2000 : 1900); break;
+			case 'Y': parts.year = Number(value); break;
+			case 'z': offset = _parse_utc_offset(value); break;
+		}
+	}
+	if (pm !== null) parts.hours = parts.hours % 12 + (pm ? 12 : 0);
+	return _build_date(parts, offset, string);
+}
+
+function _parse_utc_offset (str) {
+	if (str.toUpperCase() == 'Z') return 0;
+	var digits = str.substr(1).replace(':', '');
+	var minutes = Number(digits.substr(0, 2)) * 60 + Number(digits.substr(2) || 0);
+	return str.charAt(0) == '-' ? -minutes : minutes;
+}
+
+// Turns date parts into a date, either in local time or, 
+// if we know the offset (in minutes), in that time zone.
+function _build_date (parts, offset, original) {
+	if (parts.month < 0 || parts.month > 11 
+		|| parts.day < 1 || parts.day > _days_in_month(parts.year, parts.month) 
+		|| parts.hours > 23 || parts.minutes > 59 || parts.seconds > 59) {
+		throw new ParseError('"' + original + '" is not a valid date');
+	}
+
+	// two-digit years get mangled by the Date constructor, 
+	// so we set the year again afterwards
+	if (offset === null) {
+		var date = new Date(parts.year, parts.month, parts.day, 
+			parts.hours, parts.minutes, parts.seconds, parts.milliseconds);
+		if (parts.year < 100) date.setFullYear(parts.year, parts.month, parts.day);
+	} else {
+		var date = new Date(Date.UTC(parts.year, parts.month, parts.day, 
+			parts.hours, parts.minutes, parts.seconds, parts.milliseconds));
+		if (parts.year < 100) date.setUTCFullYear(parts.year, parts.month, parts.day);
+		date.setTime(date.getTime() - offset * 60000);
+	}
+	return date;
+}
+
+/**
+ * @desc Formats the date according to ISO 8601, e.g. ``2010-11-01T14:05:00+01:00``. 
+ * Milliseconds are only included when they're not zero. 
+ * :func:`from_iso` turns the result back into the same date.
+ *
+ * @param {Bool} [utc=false] Format the date in UTC (``2010-11-01T13:05:00Z``) 
+ *     rather than in local time with a UTC offset.
+ * @returns {String}
+ */
+
+exports.to_iso = function (self, utc) {
+	var iso = exports.strftime(self, self.getMilliseconds() ? '%FT%T.%L' : '%FT%T', utc);
+	if (utc) {
+		return iso + 'Z';
+	} else {
+		return iso + _utc_offset(-self.getTimezoneOffset(), ':');
+	}
+}
+
+/**
+ * @desc Parses ISO 8601 dates and times, in both the extended 
+ * (``2010-11-01T14:05:00.250+01:00``) and the basic format (``20101101T140500Z``). 
+ * Seconds, fractions of a second and the time itself are optional. 
+ * Without a UTC offset, the date is interpreted as local time.
+ * @param {String} string
+ * @returns {Date}
+ * @throws {ParseError} When the string is not an ISO 8601 date.
+ */
+
+exports.from_iso = function (string) {
+	var match = /^\s*(\d{4})-?(\d{2})-?(\d{2})(?:[T ](\d{2}):?(\d{2})(?::?(\d{2})(?:[.,](\d+))?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?\s*$/i.exec(string);
+	if (!match) {
+		throw new ParseError('"' + string + '" is not an ISO 8601 date');
+	}
+	var parts = {
+		'year': Number(match[1]), 
+		'month': Number(match[2]) - 1, 
+		'day': Number(match[3]), 
+		'hours': Number(match[4] || 0), 
+		'minutes': Number(match[5] || 0), 
+		'seconds': Number(match[6] || 0), 
+		'milliseconds': Math.floor(Number('0.' + (match[7] || 0)) * 1000)
+	};
+	var offset = match[8] ? _parse_utc_offset(match[8]) : null;
+	return _build_date(parts, offset, string);
+}
+
+/**
+ * @desc Describes how long ago the date was (or how long it will take 
+ * for the date to arrive) in plain English, e.g. ``3 minutes ago`` or ``in 2 days``.
+ * Anything less than 45 seconds away is ``just now``.
+ * @param {Date} [reference=new Date()] The date to compare to.
+ * @returns {String}
+ *
+ * @example
+ *     > var yesterday = dates.add(new Date(), -1, 'day');
+ *     > dates.relative(yesterday);
+ *     "a day ago"
+ */
+
+exports.relative = function (self, reference) {
+	var reference = reference || new Date();
+	var seconds = Math.round((reference.getTime() - self.getTime()) / 1000);
+	var distance = Math.abs(seconds);
+	var minutes = Math.round(distance / 60);
+	var hours = Math.round(distance / 3600);
+	var days = Math.round(distance / 86400);
+
+	if (distance < 45) return 'just now';
+	if (distance < 90) var description = 'a minute';
+	else if (minutes < 45) var description = minutes + ' minutes';
+	else if (minutes < 90) var description = 'an hour';
+	else if (hours < 22) var description = hours + ' hours';
+	else if (hours < 36) var description = 'a day';
+	else if (days < 26) var description = days + ' days';
+	else if (days < 45) var description = 'a month';
+	else if (days < 320) var description = Math.round(days / 30.4) + ' months';
+	else if (days < 548) var description = 'a year';
+	else var description = Math.round(days / 365.25) + ' years';
+
+	if (seconds > 0) {
+		return description + ' ago';
+	} else {
+		return 'in ' + description;
+	}
+}
+
+var _milliseconds_per = {
+	'millisecond': 1, 
+	'second': 1000, 
+	'minute': 60000, 
+	'hour': 3600000
+}
+
+function _date_unit (unit) {
+	var unit = unit.toLowerCase().replace(/s$/, '');
+	if (['millisecond', 'second', 'minute', 'hour', 'day', 'week', 'month', 'year'].indexOf(unit) == -1) {
+		throw new RangeError("Unknown unit of time: " + unit);
+	}
+	return unit;
+}
+
+/**
+ * @desc Date arithmetic. Returns a new date, the original date stays the same.
+ * Adding days and weeks keeps the time of day, even across daylight saving time changes. 
+ * Adding months or years to a day that doesn't exist in the resulting month 
+ * gives you the last day of that month instead: January 31 plus one month 
+ * is February 28 (or 29).
+ * @param {Number} amount Can be negative.
+ * @param {String} unit ``millisecond``, ``second``, ``minute``, ``hour``, ``day``, 
+ *     ``week``, ``month`` or ``year``, singular or plural.
+ * @returns {Date}
+ *
+ * @example
+ *     > dates.add(new Date(2010, 0, 31), 1, 'month');
+ *     // February 28th, 2010
+ */
+
+exports.add = function (self, amount, unit) {
+	var unit = _date_unit(unit);
+	var date = new Date(self.getTime());
+	if (_milliseconds_per.hasOwnProperty(unit)) {
+		date.setTime(date.getTime() + amount * _milliseconds_per[unit]);
+	} else if (unit == 'day' || unit == 'week') {
+		date.setDate(date.getDate() + amount * (unit == 'week' ? 7 : 1));
+	} else {
+		var months = date.getMonth() + amount * (unit == 'year' ? 12 : 1);
+		var year = date.getFullYear() + Math.floor(months / 12);
+		var month = (months % 12 + 12) % 12;
+		var day = Math.min(date.getDate(), _days_in_month(year, month));
+		date.setFullYear(year, month, day);
+	}
+	return date;
+}
+
+/**
+ * @desc Returns a new date at the very start of the minute, hour, day, week, 
+ * month or year this date falls in.
+ * @param {String} unit ``minute``, ``hour``, ``day``, ``week``, ``month`` or ``year``.
+ * @param {Number} [first_day=1] When asking for the start of the week, 
+ *     the day weeks start on: ``0`` for Sunday, ``1`` for Monday (as in ISO 8601).
+ * @returns {Date}
+ *
+ * @example
+ *     > dates.start_of(new Date(2010, 10, 4, 14, 5), 'week');
+ *     // Monday, November 1st, 2010, at midnight
+ */
+
+exports.start_of = function (self, unit, first_day) {
+	var unit = _date_unit(unit);
+	var first_day = first_day === undefined ? 1 : first_day;
+	if (unit == 'millisecond' || unit == 'second') {
+		throw new RangeError("Can't determine the start of a " + unit);
+	}
+	var date = new Date(self.getTime());
+	date.setSeconds(0, 0);
+	if (unit != 'minute') date.setMinutes(0);
+	if (unit != 'minute' && unit != 'hour') date.setHours(0);
+	if (unit == 'week') date.setDate(date.getDate() - (date.getDay() - first_day + 7) % 7);
+	if (unit == 'month') date.setDate(1);
+	if (unit == 'year') date.setMonth(0, 1);
+	return date;
 }
\ No newline at end of file
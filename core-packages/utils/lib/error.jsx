@@ -41,6 +41,9 @@ Error.prototype.is = function (type) {
  *
  * @param {String} name Preferably the same name as the variable you're associating the error with.
  *
+ * The resulting constructor takes an error message and, optionally, 
+ * the file and line number where the problem occurred.
+ *
  * @example var DatabaseError = Error.factory("DatabaseError");
  */
 
@@ -48,6 +51,8 @@ Error.factory = function (name) {
 	var error = function (msg, file, line) {
 		this.name = name;
 		this.description = msg;
+		if (file) this.fileName = file;
+		if (line) this.line = line;
 		this._type = error;
 	}
 	error.prototype = new Error();
@@ -159,7 +164,7 @@ exports.SystemError = Error.factory("SystemError");
 
 exports.NotImplementedError = Error.factory("NotImplementedError");
 
-var string = require("utils/string");
+var string = require("./string");
 var is_indesign = string.contains(string.to(app.name, 'lower'), 'indesign');
 if (is_indesign) {
 	/**
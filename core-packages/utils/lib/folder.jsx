@@ -19,7 +19,7 @@ exports.extendables = new File($.fileName).parent.parent;
  * instead of a path.
  */
 
-exports.at = require("utils/file").at;
+exports.at = require("./file").at;
 
 /**
  * @desc Works just like ``Folder#getFiles``, but returns only files, not folders.
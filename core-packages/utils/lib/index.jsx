@@ -1,5 +1,5 @@
-﻿exports.object = require("utils/object");
-exports.array = require("utils/array");
+﻿exports.object = require("./object");
+exports.array = require("./array");
 
 function mix (cls, mixin, name) {
 	if (!name) var name = mixin.name;
@@ -6,23 +6,27 @@
  * @desc A factory method that creates arithmetic progressions, similar to what you'll find in PHP and Python.
  * @returns {Array}
  * @example
- * > Number.range(10);
+ * > math.range(10);
  * [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]
- * > Number.range(1, 11);
+ * > math.range(1, 11);
  * [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
- * > Number.range(0, 30, 5);
+ * > math.range(0, 30, 5);
  * [0, 5, 10, 15, 20, 25]
- * > Number.range(0, 10, 3);
+ * > math.range(0, 10, 3);
  * [0, 3, 6, 9]
- * > Number.range(0, -10, -1);
+ * > math.range(0, -10, -1);
  * [0, -1, -2, -3, -4, -5, -6, -7, -8, -9]
- * > Number.range(0);
+ * > math.range(-3, 3);
+ * [-3, -2, -1, 0, 1, 2]
+ * > math.range(5, -5, -3);
+ * [5, 2, -1, -4]
+ * > math.range(0);
  * []
- * > Number.range(1, 0);
+ * > math.range(1, 0);
  * []
  */
 
-Number.range = function () {
+exports.range = function () {
 	var step = arguments[2] || 1;
 	if (arguments.length === 1) {
 		var from = 0;
@@ -33,8 +37,257 @@ Number.range = function () {
 	}
 	
 	var range = [];
-	for (var i = from; Math.abs(i) < Math.abs(to); i = i+step) {
-		range.push(i);
+	// counting up or counting down
+	if (step > 0) {
+		for (var i = from; i < to; i = i+step) range.push(i);
+	} else {
+		for (var i = from; i > to; i = i+step) range.push(i);
 	}
 	return range;
+}
+
+// Statistical functions take either an array or any number of arguments.
+function _numbers (args, fn) {
+	var numbers = args[0] instanceof Array ? args[0] : args.to('array');
+	if (!numbers.length) {
+		throw new ArithmeticError("Can't calculate the {} of an empty list".format(fn));
+	}
+	return numbers;
+}
+
+function _sorted (numbers) {
+	return numbers.slice(0).sort(function (a, b) { return a - b; });
+}
+
+// Moves the decimal point by changing the exponent, which avoids 
+// the rounding errors you get from multiplying, e.g. 1.005 * 100 = 100.49999999999999
+function _shift (number, exponent) {
+	var parts = String(number).split('e');
+	return Number(parts[0] + 'e' + (Number(parts[1] || 0) + exponent));
+}
+
+function _decimals (number) {
+	var parts = String(number).split('e');
+	var decimals = (parts[0].split('.')[1] || '').length - Number(parts[1] || 0);
+	return Math.max(decimals, 0);
+}
+
+/**
+ * @desc The arithmetic mean (the average).
+ * @param {Number[]} numbers An array, or pass in the numbers as separate arguments.
+ * @returns {Number}
+ * @throws {ArithmeticError} When there are no numbers.
+ * @example
+ * > math.mean([1, 2, 3, 4]);
+ * 2.5
+ */
+
+exports.mean = function () {
+	var numbers = _numbers(arguments, 'mean');
+	var total = 0;
+	for (var i = 0; i < numbers.length; i++) total += numbers[i];
+	return total / numbers.length;
+}
+
+/**
+ * @desc The middle value, or the mean of the two middle values if there's 
+ * an even amount of numbers.
+ * @param {Number[]} numbers An array, or pass in the numbers as separate arguments.
+ * @returns {Number}
+ * @throws {ArithmeticError} When there are no numbers.
+ * @example
+ * > math.median([7, 1, 3, 5]);
+ * 4
+ */
+
+exports.median = function () {
+	var numbers = _sorted(_numbers(arguments, 'median'));
+	var middle = Math.floor(numbers.length / 2);
+	if (numbers.length % 2) {
+		return numbers[middle];
+	} else {
+		return (numbers[middle - 1] + numbers[middle]) / 2;
+	}
+}
+
+/**
+ * @desc The most common value. If there's a tie, the value that comes first wins.
+ * Works for strings too.
+ * @param {Array} values An array, or pass in the values as separate arguments.
+ * @throws {ArithmeticError} When there are no values.
+ * @example
+ * > math.mode([1, 2, 2, 3, 3]);
+ * 2
+ */
+
+exports.mode = function () {
+	var values = _numbers(arguments, 'mode');
+	var counts = {};
+	var mode = values[0];
+	for (var i = 0; i < values.length; i++) {
+		// prefix the keys, so values like "keys" don't clash with object methods
+		var key = typeof values[i] + ':' + values[i];
+		counts[key] = counts.hasOwnProperty(key) ? counts[key] + 1 : 1;
+		if (counts[key] > counts[typeof mode + ':' + mode]) mode = values[i];
+	}
+	return mode;
+}
+
+/**
+ * @desc The value below which a given percentage of the numbers fall, 
+ * interpolating between the two closest numbers when necessary.
+ * @param {Number[]} numbers
+ * @param {Number} percentile A number from 0 to 100: the 50th percentile is 
+ *     the median, the 0th is the minimum and the 100th is the maximum.
+ * @returns {Number}
+ * @throws {ArithmeticError} When there are no numbers.
+ * @throws {RangeError} When the percentile is not between 0 and 100.
+ * @example
+ * > math.percentile([1, 2, 3, 4, 5], 90);
+ * 4.6
+ */
+
+exports.percentile = function (numbers, percentile) {
+	var numbers = _sorted(_numbers([numbers], 'percentile'));
+	if (!(percentile >= 0 && percentile <= 100)) {
+		throw new RangeError("Percentiles go from 0 to 100, not {}".format(percentile));
+	}
+	var rank = percentile / 100 * (numbers.length - 1);
+	var below = Math.floor(rank);
+	if (below == rank) return numbers[rank];
+	return exports.lerp(numbers[below], numbers[below + 1], rank - below);
+}
+
+/**
+ * @desc The variance: the mean of the squared deviations from the mean.
+ * @param {Number[]} numbers
+ * @param {Bool} [sample=false] Calculate the sample variance (dividing by 
+ *     ``n - 1`` rather than ``n``), for when the numbers are a sample 
+ *     of a larger population.
+ * @returns {Number}
+ * @throws {ArithmeticError} When there are no numbers, or only one for a sample.
+ */
+
+exports.variance = function (numbers, sample) {
+	var numbers = _numbers([numbers], 'variance');
+	if (sample && numbers.length < 2) {
+		throw new ArithmeticError("Can't calculate the sample variance of a single number");
+	}
+	var mean = exports.mean(numbers);
+	var squares = 0;
+	for (var i = 0; i < numbers.length; i++) {
+		squares += Math.pow(numbers[i] - mean, 2);
+	}
+	return squares / (numbers.length - (sample ? 1 : 0));
+}
+
+/**
+ * @desc The standard deviation, which is the square root of the variance.
+ * @param {Number[]} numbers
+ * @param {Bool} [sample=false] See :func:`variance`.
+ * @returns {Number}
+ * @example
+ * > math.standard_deviation([2, 4, 4, 4, 5, 5, 7, 9]);
+ * 2
+ */
+
+exports.standard_deviation = function (numbers, sample) {
+	return Math.sqrt(exports.variance(numbers, sample));
+}
+
+/**
+ * @desc Keeps a number within bounds.
+ * @param {Number} number
+ * @param {Number} min
+ * @param {Number} max
+ * @returns {Number}
+ * @example
+ * > math.clamp(14, 6, 12);
+ * 12
+ */
+
+exports.clamp = function (number, min, max) {
+	return Math.min(Math.max(number, min), max);
+}
+
+/**
+ * @desc Linear interpolation: the number that lies a fraction ``t`` 
+ * of the way from ``a`` to ``b``.
+ * @param {Number} a
+ * @param {Number} b
+ * @param {Number} t ``0`` gives you ``a``, ``1`` gives you ``b``.
+ * @returns {Number}
+ * @example
+ * > math.lerp(10, 20, 0.25);
+ * 12.5
+ */
+
+exports.lerp = function (a, b, t) {
+	return a + (b - a) * t;
+}
+
+/**
+ * @desc Rounds a number to a number of decimals. Halfway cases are rounded 
+ * away from zero, and unlike ``toFixed``, it doesn't trip over numbers like 
+ * ``1.005`` that can't be represented exactly.
+ * @param {Number} number
+ * @param {Number} [decimals=0] Negative numbers round to tens, hundreds et cetera.
+ * @returns {Number}
+ * @example
+ * > math.round_to(1.005, 2);
+ * 1.01
+ * > math.round_to(1250, -2);
+ * 1300
+ */
+
+exports.round_to = function (number, decimals) {
+	var decimals = decimals || 0;
+	var sign = number < 0 ? -1 : 1;
+	return sign * _shift(Math.round(_shift(Math.abs(number), decimals)), -decimals);
+}
+
+/**
+ * @desc Rounds a number to the nearest multiple of a step, e.g. the nearest 
+ * quarter point or the nearest half millimeter.
+ * @param {Number} number
+ * @param {Number} step
+ * @returns {Number}
+ * @example
+ * > math.round_to_step(10.4, 0.25);
+ * 10.5
+ */
+
+exports.round_to_step = function (number, step) {
+	if (!step) throw new RangeError("Can't round to a step of {}".format(step));
+	var rounded = exports.round_to(number / step) * step;
+	// gets rid of floating point noise like 0.30000000000000004
+	return exports.round_to(rounded, _decimals(step));
+}
+
+/**
+ * @desc Banker's rounding: rounds halfway cases to the nearest even number, 
+ * so rounding a lot of numbers doesn't skew their sum upwards.
+ * @param {Number} number
+ * @param {Number} [decimals=0]
+ * @returns {Number}
+ * @example
+ * > math.round_half_even(2.5);
+ * 2
+ * > math.round_half_even(3.5);
+ * 4
+ * > math.round_half_even(0.125, 2);
+ * 0.12
+ */
+
+exports.round_half_even = function (number, decimals) {
+	var decimals = decimals || 0;
+	var shifted = _shift(number, decimals);
+	var floor = Math.floor(shifted);
+	var difference = shifted - floor;
+	if (Math.abs(difference - 0.5) < 1e-9) {
+		var rounded = floor % 2 == 0 ? floor : floor + 1;
+	} else {
+		var rounded = Math.round(shifted);
+	}
+	return _shift(rounded, -decimals);
 }
\ No newline at end of file
@@ -30,17 +30,197 @@ exports.merge = function (self, obj) {
 exports.extend = exports.merge
 
 /**
- * @desc Creates and returns a clone of the object.
+ * @desc Creates and returns a clone of the object. The clone is shallow: 
+ * properties that contain objects refer to the very same objects as the original.
+ * Use :func:`deep_clone` if that's not what you want.
  */
 
 exports.clone = function (self) {
 	// speeds things up if we're cloning an array
-	if (this instanceof Array) return self.slice(0);
-	if (this instanceof String) return self.substring(0);
-	// the normal route for any other object
-	// though it might not work on some built-in
-	// application-specific objects
-	return new self.constructor().merge(self);
+	if (self instanceof Array) return self.slice(0);
+	if (self instanceof String) return self.substring(0);
+	if (self instanceof Number || self instanceof Boolean) return self.valueOf();
+	if (self instanceof Date) return new Date(self.getTime());
+	if (self instanceof RegExp) return new RegExp(self.source, _regexp_flags(self));
+	// Calling the constructor of application-specific objects 
+	// often fails, so we don't: the clone shares its prototype 
+	// with the original instead.
+	return exports.merge(_create(self), self);
+}
+
+function _create (obj) {
+	if (obj.constructor === Object) return {};
+	var Clone = function () {};
+	Clone.prototype = obj.constructor.prototype;
+	return new Clone();
+}
+
+function _regexp_flags (regexp) {
+	return (regexp.global ? 'g' : '') + (regexp.ignoreCase ? 'i' : '') + (regexp.multiline ? 'm' : '');
+}
+
+function _is_plain_object (value) {
+	return value !== null && typeof value == 'object' && value.constructor === Object;
+}
+
+// originals and copies keep track of what we've already cloned, 
+// so we can reproduce cycles instead of getting stuck in them
+function _deep_clone (value, originals, copies) {
+	if (value === null || typeof value != 'object') return value;
+	var i = originals.indexOf(value);
+	if (i != -1) return copies[i];
+
+	if (value instanceof Date) return new Date(value.getTime());
+	if (value instanceof RegExp) return new RegExp(value.source, _regexp_flags(value));
+	if (value instanceof Array) {
+		var copy = [];
+	} else if (_is_plain_object(value)) {
+		var copy = {};
+	} else {
+		// files, DOM objects and the like
+		return value;
+	}
+	originals.push(value);
+	copies.push(copy);
+	for (var key in value) {
+		if (value.hasOwnProperty(key)) copy[key] = _deep_clone(value[key], originals, copies);
+	}
+	return copy;
+}
+
+/**
+ * @desc Creates and returns a deep clone of the object: arrays, plain objects, dates 
+ * and regular expressions inside of it get cloned too, all the way down. 
+ * Objects that refer to themselves, directly or indirectly, are no problem.
+ * Other objects, like files or DOM objects, are not cloned: the clone refers to the 
+ * same ones as the original.
+ */
+
+exports.deep_clone = function (self) {
+	return _deep_clone(self, [], []);
+}
+
+function _deep_merge (target, source, strategy, ancestors) {
+	// only stop at cycles: the same object can turn up in several places
+	if (ancestors.indexOf(source) != -1) return target;
+	ancestors.push(source);
+	for (var key in source) {
+		if (!source.hasOwnProperty(key)) continue;
+		var from = source[key];
+		var to = target[key];
+		if (_is_plain_object(from) && _is_plain_object(to)) {
+			_deep_merge(to, from, strategy, ancestors);
+		} else if (from instanceof Array && to instanceof Array && strategy != 'replace') {
+			from = _deep_clone(from, [], []);
+			if (strategy == 'concat') {
+				target[key] = to.concat(from);
+			} else {
+				target[key] = to.concat(from.filter(function (item) {
+					return to.indexOf(item) == -1;
+				}));
+			}
+		} else {
+			target[key] = _deep_clone(from, [], []);
+		}
+	}
+	ancestors.pop();
+	return target;
+}
+
+/**
+ * @desc Merges another object into this one, including any objects nested 
+ * inside of it. Like :func:`merge`, this modifies the original object. 
+ * Values get deep-cloned on the way in.
+ *
+ * @param {Object} obj The object to merge into this one.
+ * @param {Object} [options]
+ * @param {String} [options.arrays="replace"] What to do when both objects have 
+ *     an array under the same key: ``replace``, ``concat`` or ``union``.
+ * @returns {Object} Returns the merged object (``self``);
+ */
+
+exports.deep_merge = function (self, obj, options) {
+	var strategy = (options || {}).arrays || 'replace';
+	if (['replace', 'concat', 'union'].indexOf(strategy) == -1) {
+		throw new RangeError("Unknown array strategy " + strategy);
+	}
+	if (!obj) return self;
+	return _deep_merge(self, obj, strategy, []);
+}
+
+function _describe (value) {
+	if (value instanceof Array) return "[" + value.length + " items]";
+	if (typeof value == 'string') return '"' + value + '"';
+	return String(value);
+}
+
+// Collects the differences between two values into ``differences``. 
+// ``seen`` holds pairs of objects we're already comparing, so cycles don't trip us up.
+function _diff (a, b, path, differences, seen) {
+	function differ () {
+		differences.push({
+			'path': path, 
+			'left': a, 
+			'right': b, 
+			'message': (path || "(root)") + ": " + _describe(a) + " != " + _describe(b)
+		});
+	}
+
+	if (a === b) return;
+	if (typeof a == 'number' && typeof b == 'number' && isNaN(a) && isNaN(b)) return;
+	if (a === null || b === null || typeof a != 'object' || typeof b != 'object') return differ();
+	if (a.constructor !== b.constructor) return differ();
+	if (a instanceof Date) {
+		if (a.getTime() != b.getTime()) differ();
+		return;
+	}
+	if (a instanceof RegExp) {
+		if (a.toString() != b.toString()) differ();
+		return;
+	}
+	if (!(a instanceof Array) && !_is_plain_object(a)) return differ();
+
+	for (var i = 0; i < seen.length; i++) {
+		if (seen[i][0] === a && seen[i][1] === b) return;
+	}
+	seen.push([a, b]);
+
+	if (a instanceof Array) {
+		for (var i = 0; i < Math.max(a.length, b.length); i++) {
+			_diff(a[i], b[i], path + "[" + i + "]", differences, seen);
+		}
+	} else {
+		var keys = exports.keys(a).concat(exports.keys(b).filter(function (key) {
+			return !a.hasOwnProperty(key);
+		}));
+		keys.forEach(function (key) {
+			_diff(a[key], b[key], path ? path + "." + key : key, differences, seen);
+		});
+	}
+}
+
+/**
+ * @desc Lists the differences between two objects, comparing arrays and 
+ * plain objects property by property, all the way down. Functions are ignored.
+ * @returns {Object[]} For each difference, an object with the ``path`` to the 
+ *     property (e.g. ``authors[0].name``), the ``left`` value, the ``right`` value 
+ *     and a human-readable ``message``.
+ */
+
+exports.diff = function (self, other) {
+	var differences = [];
+	_diff(self, other, "", differences, []);
+	return differences;
+}
+
+/**
+ * @desc Tests whether two objects are equal all the way down. 
+ * See :func:`diff` to find out what's different.
+ * @returns {Bool} True or false.
+ */
+
+exports.deep_equals = function (self, other) {
+	return exports.diff(self, other).length == 0;
 }
 
 /**
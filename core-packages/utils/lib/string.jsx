@@ -1,12 +1,21 @@
 ﻿/**
- * @desc This is a simple string formatting method, loosely inspired on the one in Python 3.
+ * @desc This is a string formatting method, modelled after the one in Python 3.
  * 
- * * In unnamed mode, specify placeholders with the **{}** symbol.
+ * * In unnamed mode, specify placeholders with the **{}** symbol, 
+ *   or refer to a replacement by its position, like **{0}**.
  * * In named mode, specify placeholders with **{propname}**.
+ * * Dotted paths like **{person.name}** or **{0.name}** get at properties of a replacement.
+ * * Placeholders can take a format spec after a colon, like **{:>10}** or **{price:,.2f}**. 
+ *   See ``format_value`` for the details.
+ * * To get a literal brace, double it: **{{** and **}}**.
+ *
+ * Placeholders for names that aren't in the replacement object are left alone, 
+ * and so are positional placeholders and placeholders with an invalid format spec 
+ * in named mode.
  *
  * @param {String} replacements
  *     For each **{}** symbol in the text, ``format`` expects a replacement argument.
- *     Calls `.toString()` on each replacement, so you can pass in any data type.
+ *     Converts each replacement to a string, so you can pass in any data type.
  *     You may also specify a single replacement object, which will do named formatting.
  *
  * @example
@@ -20,30 +29,206 @@
  *     > var hello = "Hello there, {salutation}, I've heard your name is {name}!".format(person);
  *     > $.writeln(hello);
  *     "Hello there, mister, I've heard your name is John Smith"
+ *
+ * @example
+ *     > "{0.name} owes us {1:,.2f} dollars ({2:.0%} of {3:,})".format(person, 1234.5, 0.25, 4938);
+ *     "John Smith owes us 1,234.50 dollars (25% of 4,938)"
  */
 
 exports.format = function() {
 	var replacements = arguments.to('array');
-	var str = replacements.shift();
-	var named = replacements.length == 1 && replacements[0].reflect.name == 'Object';
-	
-	if (named) {
-		var dict = replacements[0];
-        dict.keys().forEach(function (key) {
-			// replace globally (flagged g)
-			str = str.replace("{" + key + "}", dict[key], "g");
-		});
-		return str;
+	var self = replacements.shift();
+	var first = replacements[0];
+	var named = replacements.length == 1 && first !== null && first !== undefined && first.reflect.name == 'Object';
+	var position = 0;
+
+	return self.replace(/\{\{|\}\}|\{([\w.]*)(?::([^{}]*))?\}/g, function (placeholder, field, spec) {
+		if (placeholder == '{{') return '{';
+		if (placeholder == '}}') return '}';
+
+		var path = field.length ? field.split('.') : [];
+		var key = path.shift();
+		var positional = key === undefined || /^\d+$/.test(key);
+		// in named mode, there's nothing to fill in positional placeholders with
+		if (named && positional) {
+			return placeholder;
+		} else if (key === undefined) {
+			var value = replacements[position++];
+		} else if (positional) {
+			var value = replacements[parseInt(key, 10)];
+		} else if (named && first.hasOwnProperty(key)) {
+			var value = first[key];
+		} else {
+			return placeholder;
+		}
+		for (var i = 0; i < path.length; i++) {
+			if (value === null || value === undefined) return placeholder;
+			value = value[path[i]];
+		}
+		if (!named) return exports.format_value(value, spec || '');
+		// named formatting also runs over rendered templates, which can 
+		// contain braces of their own, so we leave what we can't parse alone
+		try {
+			return exports.format_value(value, spec || '');
+		} catch (error) {
+			if (error instanceof ParseError) return placeholder;
+			throw error;
+		}
+	});
+}
+
+// like Python, use at least two digits for exponents: 1e+06 instead of 1e+6
+function _two_digit_exponent (str) {
+	return str.replace(/e([+-])(\d)$/, function (match, sign, digit) {
+		return "e" + sign + "0" + digit;
+	});
+}
+
+/**
+ * @desc Formats a single value according to a format spec, which works just like 
+ * the format spec mini-language in Python: ``[[fill]align][sign][#][0][width][,][.precision][type]``
+ *
+ * * **align** is one of ``<`` (left, the default for strings), ``>`` (right, the default for numbers), 
+ *   ``^`` (centered) or ``=`` (padding goes between the sign and the digits), and **fill** is any character
+ * * **sign** is ``+`` (always show the sign), ``-`` (only for negative numbers, the default) 
+ *   or a space (a space for positive numbers)
+ * * ``#`` prefixes binary, octal and hexadecimal numbers with ``0b``, ``0o`` and ``0x``
+ * * ``0`` pads numbers with zeroes
+ * * **width** is the minimum width
+ * * ``,`` or ``_`` is the thousands separator
+ * * **precision** is the number of decimals for ``f``, ``e`` and ``%``, the number of 
+ *   significant digits for ``g`` and the maximum width for strings
+ * * **type** is ``s`` (a string), ``d`` (an integer), ``f``, ``e``, ``g``, ``%`` (a percentage), 
+ *   ``b``, ``o``, ``x``, ``X`` (binary, octal and hexadecimal), ``c`` (a character code) 
+ *   or ``n``, a number with the decimal mark and thousands separator of the current locale 
+ *   (see ``utils/locale``), where **precision** is the number of decimals
+ *
+ * ``undefined`` becomes an empty string. Like in Python, the integer types 
+ * (``d``, ``b``, ``o``, ``x``, ``X`` and ``c``) raise a ``TypeError`` rather than 
+ * round numbers with decimals.
+ *
+ * @param value
+ * @param {String} spec
+ * @returns {String}
+ *
+ * @example
+ *     > format_value(3.14159, '*^9.2f');
+ *     "**3.14***"
+ */
+
+exports.format_value = function (value, spec) {
+	var parts = spec.match(/^(?:([\s\S])?([<>=^]))?([+\- ])?(#)?(0)?(\d+)?([,_])?(?:\.(\d+))?([bcdeEfFgGnosxX%])?$/);
+	if (!parts) throw new ParseError("Invalid format spec: " + spec);
+	var align = parts[2] || '';
+	var fill = align ? parts[1] || ' ' : ' ';
+	var sign = parts[3] || '-';
+	var alternate = !!parts[4];
+	var width = parts[6] ? parseInt(parts[6], 10) : 0;
+	var grouping = parts[7] || '';
+	var precision = parts[8] ? parseInt(parts[8], 10) : null;
+	var type = parts[9] || '';
+
+	if (value === undefined) value = '';
+	var numeric = type ? type != 's' : typeof value == 'number' || value instanceof Number;
+
+	if (!numeric) {
+		var str = String(value);
+		if (precision !== null) str = str.substr(0, precision);
+		var prefix = '';
+		if (!align) align = '<';
 	} else {
-		// split the string into parts around the substring replacement symbols ({}).
-		var chunks = str.split("{}");
-		// fill in the replacements
-		for (var i in chunks) {
-			var replacement = replacements.shift();
-			if (replacement) chunks[i] += replacement.toString();
+		var number = Number(value);
+		if (isNaN(number) && !(typeof value == 'number' || value instanceof Number)) {
+			throw new TypeError("Can't format " + value + " as a number");
+		}
+		var negative = number < 0 || (number === 0 && 1 / number < 0);
+		number = Math.abs(number);
+		var prefix = negative ? '-' : (sign == '+' ? '+' : (sign == ' ' ? ' ' : ''));
+		// like Python, we don't round numbers for the integer types
+		if (type.length && 'dbxXoc'.indexOf(type) > -1 && number % 1) {
+			throw new TypeError("Can't format " + value + " as an integer");
+		}
+
+		switch (type) {
+			case 'd':
+				var str = number.toString();
+				break;
+			case 'f':
+			case 'F':
+				var str = number.toFixed(precision === null ? 6 : precision);
+				break;
+			case 'e':
+			case 'E':
+				var str = _two_digit_exponent(number.toExponential(precision === null ? 6 : precision));
+				break;
+			case '%':
+				var str = (number * 100).toFixed(precision === null ? 6 : precision);
+				break;
+			case 'g':
+			case 'G':
+				var str = number.toPrecision(precision || 6);
+				if (!alternate) str = str.replace(/(\.\d*?)0+(e|$)/, "$1$2").replace(/\.(e|$)/, "$1");
+				str = _two_digit_exponent(str);
+				break;
+			case 'b':
+			case 'o':
+			case 'x':
+			case 'X':
+				var radix = {'b': 2, 'o': 8, 'x': 16, 'X': 16}[type];
+				var str = number.toString(radix);
+				if (alternate) prefix += '0' + type;
+				break;
+			case 'n':
+				var str = require("./locale").number(number, {'decimals': precision});
+				break;
+			case 'c':
+				var str = String.fromCharCode(number);
+				prefix = '';
+				break;
+			default:
+				var str = precision === null ? number.toString() : number.toPrecision(precision);
+		}
+		if (type == 'E' || type == 'G' || type == 'X' || type == 'F') str = str.toUpperCase();
+
+		if (type == '%') str += '%';
+		var zero_fill = parts[5] && !parts[2];
+		if (grouping && type != 'c' && type != 'n') {
+			var digits = str.match(/^(\d+)([\s\S]*)$/);
+			if (digits) {
+				var integer = digits[1];
+				// zeroes get grouped along with the other digits, 
+				// so we pad before grouping: 0,001,234.5 and not 0001,234.5
+				while (zero_fill && prefix.length + integer.length + Math.floor((integer.length - 1) / 3) + digits[2].length < width) {
+					integer = '0' + integer;
+				}
+				var grouped = [];
+				while (integer.length > 3) {
+					grouped.unshift(integer.slice(-3));
+					integer = integer.slice(0, -3);
+				}
+				grouped.unshift(integer);
+				str = grouped.join(grouping) + digits[2];
+			}
+		}
+		if (zero_fill) {
+			fill = '0';
+			align = '=';
 		}
-		// join everything together
-		return chunks.join('');		
+		if (!align) align = '>';
+	}
+
+	var padding = width - prefix.length - str.length;
+	if (padding <= 0) return prefix + str;
+	switch (align) {
+		case '<':
+			return prefix + str + new Array(padding + 1).join(fill);
+		case '^':
+			var left = Math.floor(padding / 2);
+			return new Array(left + 1).join(fill) + prefix + str + new Array(padding - left + 1).join(fill);
+		case '=':
+			return prefix + new Array(padding + 1).join(fill) + str;
+		default:
+			return new Array(padding + 1).join(fill) + prefix + str;
 	}
 }
 
@@ -64,7 +249,7 @@ exports.startswith = function (self, substring) {
  */
 
 exports.endswith = function (self, substring) {
-	return new Boolean(self.length && self.indexOf(substring) == (self.length - substring.length)).valueOf();
+	return new Boolean(self.length && self.length >= substring.length && self.lastIndexOf(substring) == (self.length - substring.length)).valueOf();
 }
 
 /**
@@ -152,4 +337,284 @@ exports.trim = function(self, character) {
 	} else {
 		return self.replace(/^\s+|\s+$/g, "");
 	}
+}
+
+// ASCII approximations for accented and other non-ASCII Latin letters
+var _transliterations = {
+	'A': 'ÀÁÂÃÄÅĀĂĄ', 'a': 'àáâãäåāăą', 'AE': 'Æ', 'ae': 'æ', 
+	'C': 'ÇĆĈĊČ', 'c': 'çćĉċč', 'D': 'ĎĐÐ', 'd': 'ďđð', 
+	'E': 'ÈÉÊËĒĔĖĘĚ', 'e': 'èéêëēĕėęě', 'G': 'ĜĞĠĢ', 'g': 'ĝğġģ', 
+	'H': 'ĤĦ', 'h': 'ĥħ', 'I': 'ÌÍÎÏĨĪĬĮİ', 'i': 'ìíîïĩīĭįı', 
+	'J': 'Ĵ', 'j': 'ĵ', 'K': 'Ķ', 'k': 'ķ', 'L': 'ĹĻĽĿŁ', 'l': 'ĺļľŀł', 
+	'N': 'ÑŃŅŇ', 'n': 'ñńņň', 'O': 'ÒÓÔÕÖØŌŎŐ', 'o': 'òóôõöøōŏő', 
+	'OE': 'Œ', 'oe': 'œ', 'R': 'ŔŖŘ', 'r': 'ŕŗř', 'S': 'ŚŜŞŠȘ', 's': 'śŝşšș', 
+	'ss': 'ß', 'T': 'ŢŤŦȚ', 't': 'ţťŧț', 'TH': 'Þ', 'th': 'þ', 
+	'U': 'ÙÚÛÜŨŪŬŮŰŲ', 'u': 'ùúûüũūŭůűų', 'W': 'Ŵ', 'w': 'ŵ', 
+	'Y': 'ÝŸŶ', 'y': 'ýÿŷ', 'Z': 'ŹŻŽ', 'z': 'źżž', 
+	"'": '‘’‚′', '"': '“”„″', '-': '‐‑‒–—―', '...': '…', ' ': '\u00A0\u2009\u202F'
+};
+// the same table, the other way around
+var _ascii = (function () {
+	var ascii = {};
+	for (var replacement in _transliterations) {
+		if (!_transliterations.hasOwnProperty(replacement)) continue;
+		for (var i = 0; i < _transliterations[replacement].length; i++) {
+			ascii[_transliterations[replacement].charAt(i)] = replacement;
+		}
+	}
+	return ascii;
+})();
+
+// Letters and digits. Letters in scripts without case (CJK, Hebrew, Arabic...) 
+// can't be recognized by comparing their upper- and lowercase forms.
+function _is_word_character (character) {
+	return character.toLowerCase() != character.toUpperCase() 
+		|| _ascii.hasOwnProperty(character) && /\w/.test(_ascii[character]) 
+		|| /[0-9\u05D0-\u05EA\u0620-\u064A\u0E01-\u0E30\u3041-\u30FF\u3400-\u9FFF\uAC00-\uD7AF]/.test(character);
+}
+
+function _is_upper (character) {
+	return character != character.toLowerCase();
+}
+
+// Splits a string into words at spaces, punctuation and changes in case, 
+// so "XMLHttpRequest", "xml_http_request" and "XML http request" 
+// all become ["XML", "Http", "Request"] (or the lowercase equivalent).
+function _words (str) {
+	var words = [];
+	var word = '';
+	for (var i = 0; i < str.length; i++) {
+		var character = str.charAt(i);
+		if (!_is_word_character(character)) {
+			if (word) words.push(word);
+			word = '';
+			continue;
+		}
+		var previous = str.charAt(i - 1);
+		var next = str.charAt(i + 1);
+		var boundary = word && _is_upper(character) && (
+			// camelCase
+			!_is_upper(previous) && _is_word_character(previous) || 
+			// the last capital of an acronym, as in XMLHttp
+			_is_upper(previous) && next && _is_word_character(next) && !_is_upper(next) && !/\d/.test(next)
+			);
+		if (boundary) {
+			words.push(word);
+			word = '';
+		}
+		word += character;
+	}
+	if (word) words.push(word);
+	return words;
+}
+
+function _capitalize (word) {
+	return word.charAt(0).toUpperCase() + word.substr(1).toLowerCase();
+}
+
+/**
+ * @desc Replaces accented letters and other non-ASCII characters with their 
+ * closest ASCII equivalent: ``é`` becomes ``e``, ``ß`` becomes ``ss``, 
+ * curly quotes become straight quotes. Characters that have no equivalent 
+ * are left alone.
+ * @returns {String}
+ *
+ * @example
+ *     > string.transliterate("Zoë Müller");
+ *     "Zoe Muller"
+ */
+
+exports.transliterate = function (self) {
+	// strip combining diacritics, the ones that come after the letter they apply to
+	return self.replace(/[\u0300-\u036F]/g, '').replace(/[^\u0000-\u007F]/g, function (character) {
+		return _ascii.hasOwnProperty(character) ? _ascii[character] : character;
+	});
+}
+
+/**
+ * @desc Converts a string to ``snake_case``, splitting it into words at spaces, 
+ * punctuation and changes in case.
+ * @returns {String}
+ *
+ * @example
+ *     > string.snake_case("XMLHttpRequest");
+ *     "xml_http_request"
+ */
+
+exports.snake_case = function (self) {
+	return _words(self).map(function (word) {
+		return word.toLowerCase();
+	}).join('_');
+}
+
+/**
+ * @desc Converts a string to ``camelCase``.
+ * @returns {String}
+ *
+ * @example
+ *     > string.camel_case("page item count");
+ *     "pageItemCount"
+ */
+
+exports.camel_case = function (self) {
+	return _words(self).map(function (word, i) {
+		return i ? _capitalize(word) : word.toLowerCase();
+	}).join('');
+}
+
+/**
+ * @desc Converts a string to ``Title Case``: capitalizes the first letter of every word. 
+ * Unlike :func:`snake_case` and :func:`camel_case`, this keeps spaces, 
+ * punctuation and the case of the rest of each word, so names like ``McDonald`` survive.
+ * @returns {String}
+ *
+ * @example
+ *     > string.title_case("the lord of the rings");
+ *     "The Lord Of The Rings"
+ */
+
+exports.title_case = function (self) {
+	var str = self;
+	var titled = '';
+	for (var i = 0; i < str.length; i++) {
+		var character = str.charAt(i);
+		var previous = str.charAt(i - 1);
+		var starts_word = _is_word_character(character) && !(i && (_is_word_character(previous) || previous == "'" || previous == '’'));
+		titled += starts_word ? character.toUpperCase() : character;
+	}
+	return titled;
+}
+
+/**
+ * @desc Shortens a string to a maximum length, ending it with an ellipsis 
+ * if anything had to go.
+ * @param {Number} [length] The maximum length, including the ellipsis. 
+ *     Without a length, or with a length of zero, the string is left as it is.
+ * @param {String} [ellipsis="…"]
+ * @returns {String}
+ *
+ * @example
+ *     > string.truncate("Extendables makes scripting fun", 16);
+ *     "Extendables mak…"
+ */
+
+exports.truncate = function (self, length, ellipsis) {
+	var ellipsis = ellipsis === undefined ? '…' : ellipsis;
+	if (!length || self.length <= length) return self.valueOf();
+	return exports.rtrim(self.substr(0, Math.max(length - ellipsis.length, 0))) + ellipsis;
+}
+
+/**
+ * @desc Pads a string to a minimum width.
+ * @param {Number} width
+ * @param {String} [fill=" "] A single character.
+ * @param {String} [align="<"] Where the string goes: ``<`` (left, padding on the right), 
+ *     ``>`` (right) or ``^`` (centered), just like in :func:`format_value`.
+ * @returns {String}
+ *
+ * @example
+ *     > string.pad("7", 3, "0", ">");
+ *     "007"
+ */
+
+exports.pad = function (self, width, fill, align) {
+	return exports.format_value(self.valueOf(), (fill || ' ') + (align || '<') + width + 's');
+}
+
+/**
+ * @desc Wraps text so no line is longer than a given width, breaking lines 
+ * between words. Existing line breaks are kept. Words that are longer 
+ * than the width get a line of their own.
+ * @param {Number} width
+ * @param {String} [eol="\n"] The line ending to use.
+ * @returns {String}
+ */
+
+exports.word_wrap = function (self, width, eol) {
+	var eol = eol || "\n";
+	return self.split(/\r\n|\r|\n/).map(function (paragraph) {
+		var lines = [];
+		var line = '';
+		paragraph.split(/\s+/).forEach(function (word) {
+			if (!word) return;
+			if (line && line.length + 1 + word.length > width) {
+				lines.push(line);
+				line = word;
+			} else {
+				line = line ? line + ' ' + word : word;
+			}
+		});
+		lines.push(line);
+		return lines.join(eol);
+	}).join(eol);
+}
+
+/**
+ * @desc Removes whitespace that every line of the string starts with, 
+ * like Python's ``textwrap.dedent``. Handy for multiline strings in indented code. 
+ * Lines that only contain whitespace are ignored when figuring out the indentation.
+ * @returns {String}
+ *
+ * @example
+ *     > string.dedent("    if (x) {\n        y();\n    }");
+ *     "if (x) {\n    y();\n}"
+ */
+
+exports.dedent = function (self) {
+	var lines = self.split("\n");
+	var indentation = null;
+	lines.forEach(function (line) {
+		if (!line.match(/\S/)) return;
+		var whitespace = line.match(/^[ \t]*/)[0];
+		if (indentation === null) {
+			indentation = whitespace;
+		} else {
+			while (whitespace.substr(0, indentation.length) != indentation) {
+				indentation = indentation.slice(0, -1);
+			}
+		}
+	});
+	if (!indentation) return self.valueOf();
+	return lines.map(function (line) {
+		return line.substr(0, indentation.length) == indentation ? line.substr(indentation.length) : line.replace(/^[ \t]+$/, '');
+	}).join("\n");
+}
+
+/**
+ * @desc Repeats a string.
+ * @param {Number} times
+ * @param {String} [separator=""] What goes in between the repetitions.
+ * @returns {String}
+ *
+ * @example
+ *     > string.repeat("ab", 3, "-");
+ *     "ab-ab-ab"
+ */
+
+exports.repeat = function (self, times, separator) {
+	if (times < 0 || times == Infinity) {
+		throw new RangeError("Can't repeat a string " + times + " times");
+	}
+	var repeated = [];
+	for (var i = 0; i < Math.floor(times); i++) repeated.push(self.valueOf());
+	return repeated.join(separator || '');
+}
+
+/**
+ * @desc Counts the words in a string. A word is anything between whitespace 
+ * that has at least one letter or digit in it, so dashes and bullets don't count.
+ * @returns {Number}
+ *
+ * @example
+ *     > string.count_words("Zoë Müller's cat — a tabby");
+ *     5
+ */
+
+exports.count_words = function (self) {
+	return self.split(/\s+/).filter(function (word) {
+		for (var i = 0; i < word.length; i++) {
+			if (_is_word_character(word.charAt(i))) return true;
+		}
+		return false;
+	}).length;
 }
\ No newline at end of file
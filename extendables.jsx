@@ -3,22 +3,29 @@
 var log_buffer = [];
 
 #include "patches/__all__.jsx";
-var default_settings = new File("settings.jsx").at(Folder.extendables);
-var project_specific_settings = new File("settings.jsx").at(Folder.extendables.parent);
-if (project_specific_settings.exists) {
-	// allows for project-specific settings, so nobody
-	// has to override anything within /extendables
-	// (this feature is currently undocumented)
-	log_buffer.push([4, "Loading Extendables with project-specific settings at {}", project_specific_settings]);
-	$.evalFile(project_specific_settings);
-} else {
-	log_buffer.push([4, "Loading Extendables with default settings"]);
-	$.evalFile(default_settings);
-}
+#include "configuration.jsx";
+// Settings files are layered on top of each other: project-specific settings 
+// (in the folder that contains Extendables) override the defaults, 
+// and user settings override both.
+settings.load('defaults', new File("settings.jsx").at(Folder.extendables));
+var settings_files = {
+	'project': new File("settings.jsx").at(Folder.extendables.parent), 
+	'user': new File("Extendables/settings.jsx").at(Folder.userData)
+	};
+settings_files.keys().forEach(function (layer) {
+	if (settings.load(layer, settings_files[layer])) {
+		log_buffer.push([4, "Loading {} settings at {}", layer, settings_files[layer]]);
+	}
+});
 #include "loader.jsx";
-load_modules(settings.package_directories);
+load_modules(require.paths());
 #include "context.jsx";
 
+// now that every package has declared its settings, we can check them
+settings.validate().messages.forEach(function (message) {
+	log_buffer.push([3, message]);
+});
+
 // write away buffered log messages
 
 var logging = require("logging");
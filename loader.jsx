@@ -4,21 +4,189 @@
  */
 
 var __modules__ = {};
-function require (module_id) {
+// the qualified ids of the modules that are currently being evaluated, 
+// in the order in which they were required; used to report circular imports
+var __import_chain__ = [];
+
+function _get_module (module_id) {
 	// CommonJS: A module identifier is a String of "terms"
 	var terms = module_id.split('/');
 	var module = terms.shift();
 	if (__modules__.hasOwnProperty(module)) {
 		if (terms.length) {
-			return __modules__[module].get_submodule(terms).load().exports;
+			return __modules__[module].get_submodule(terms);
 		} else {
-			return __modules__[module].load().exports;
+			return __modules__[module];
 		}
 	} else {
 		throw Error("No package named " + module_id);
 	}
 }
 
+function _is_relative (module_id) {
+	return module_id.startswith("./") || module_id.startswith("../");
+}
+
+function require (module_id) {
+	if (_is_relative(module_id)) {
+		throw new ImportError("Relative module ids like {} only work inside of modules".format(module_id));
+	}
+	return _get_module(module_id).load().exports;
+}
+
+/**
+ * @desc Finds out which file ``require`` would evaluate for a module id, 
+ * without actually loading the module.
+ * @returns {File}
+ */
+
+require.resolve = function (module_id) {
+	if (_is_relative(module_id)) {
+		throw new ImportError("Relative module ids like {} only work inside of modules".format(module_id));
+	}
+	return _get_module(module_id).get_file();
+}
+
+/**
+ * @desc Information about every package Extendables knows about, taken from 
+ * the ``package.json`` manifest in the package folder, if there is one.
+ * @returns {Object} An object with the ``name``, ``version``, ``description``, 
+ * ``dependencies``, supported ``hosts`` and ``uri`` of each package, the search path
+ * ``directory`` it was found in, the uris of any packages with the same name that it 
+ * ``shadows`` and any ``unmet_dependencies``, keyed by package id.
+ *
+ * @example
+ *     > require.packages()['http'].version
+ *     "0.4.0"
+ */
+
+require.packages = function () {
+	var packages = {};
+	__modules__.keys().forEach(function (id) {
+		var module = __modules__[id];
+		var manifest = module.manifest;
+		packages[id] = {
+			'name': manifest.name,
+			'version': manifest.version,
+			'description': manifest.description,
+			'dependencies': manifest.dependencies,
+			'hosts': manifest.hosts,
+			'uri': module.uri,
+			'directory': module.directory,
+			'shadows': module.shadows,
+			'unmet_dependencies': module.get_unmet_dependencies()
+		};
+	});
+	return packages;
+}
+
+// all modules and submodules, in no particular order, 
+// or only those in a single package if you pass one in
+function _get_all_modules (pkg) {
+	var modules = [];
+	function collect (module) {
+		modules.push(module);
+		module.submodules.values().forEach(collect);
+	}
+	if (pkg) {
+		collect(pkg);
+	} else {
+		__modules__.values().forEach(collect);
+	}
+	return modules;
+}
+
+/**
+ * @desc Lists the modules that threw an error while loading, and were thus only partly loaded.
+ * (Unless ``settings.strict_imports`` is enabled, in which case ``require`` raises an 
+ * ``ImportError`` instead.)
+ * @returns {Object[]} An array of objects with the ``id`` and ``uri`` of the module, 
+ * the ``line`` on which loading failed and the original ``error``.
+ */
+
+require.errors = function () {
+	return _get_all_modules().filter(function (module) {
+		return module.error;
+	}).map(function (module) {
+		return {
+			'id': module.qualified_id,
+			'uri': module.uri,
+			'line': module.error.line,
+			'error': module.error
+		};
+	});
+}
+
+// picks up files that were added to or removed from a package
+function _rescan_package (module_id) {
+	var pkg = _get_module(module_id).get_package();
+	pkg.rescan();
+	return pkg;
+}
+
+// Marks modules and, recursively, the modules that depend on them as stale, 
+// so they'll get evaluated again. Returns the ids of all stale modules, 
+// in an order in which they can be reloaded.
+function _invalidate (modules) {
+	var invalidated = [];
+	var queue = modules.slice(0);
+	while (queue.length) {
+		var module = queue.shift();
+		if (invalidated.contains(module.qualified_id)) continue;
+		invalidated.push(module.qualified_id);
+		module.loaded = false;
+		module.dependents.forEach(function (id) {
+			try {
+				queue.push(_get_module(id).get_main());
+			} catch (error) {
+				// the dependent module no longer exists
+			}
+		});
+	}
+	return invalidated;
+}
+
+/**
+ * @desc Marks a module and all of the modules that depend on it as stale, 
+ * so they get evaluated anew the next time they're required. Also picks up 
+ * any files that were added to or removed from the module's package.
+ * 
+ * Handy when running Extendables in a persistent engine 
+ * (``#targetengine "session"``), where modules stay loaded until the 
+ * host app quits.
+ *
+ * @param {String} module_id
+ * @returns {String[]} The ids of the modules that were invalidated.
+ */
+
+require.invalidate = function (module_id) {
+	_rescan_package(module_id);
+	return _invalidate([_get_module(module_id).get_main()]);
+}
+
+/**
+ * @desc Picks up code changes in a package without having to restart the host app. 
+ * Re-scans the package folder, re-evaluates every module in the package whose file 
+ * has been modified since it was loaded, and re-runs the modules that depend on them.
+ *
+ * Keep in mind that scripts that have already required a module
+ * hold on to its old exports.
+ *
+ * @param {String} module_id Any module in the package you want to reload.
+ * @returns {Object} The (new) exports of the module.
+ */
+
+require.reload = function (module_id) {
+	var pkg = _rescan_package(module_id);
+	var changed = _get_all_modules(pkg).filter(function (module) {
+		return module.has_changed();
+	});
+	_invalidate(changed).forEach(function (id) {
+		_get_module(id).load();
+	});
+	return require(module_id);
+}
+
 // extracts a module into the global namespace (like the eponymous PHP function);
 // to be avoided, but sometimes convenience trumps stringency
 function extract (module_id) {
@@ -32,39 +200,160 @@ function _is_valid_module (file_or_folder) {
 	return file_or_folder.is(Folder) || file_or_folder.name.endswith(".jsx");
 }
 
-function Module (file_or_folder, is_package) {	
+// inside of a package, JSON files can be required too
+function _is_valid_submodule (file_or_folder) {
+	return _is_valid_module(file_or_folder) || file_or_folder.name.endswith(".json");
+}
+
+function _read_file (file) {
+	file.encoding = "UTF-8";
+	if (!file.open("r")) {
+		throw new IOError("Couldn't open {}".format(File.decode(file.absoluteURI)));
+	}
+	var contents = file.read();
+	file.close();
+	return contents;
+}
+
+// compares two version strings like "1.10.2" and "1.9", returns -1, 0 or 1
+function _compare_versions (a, b) {
+	a = a.toString().split('.');
+	b = b.toString().split('.');
+	for (var i = 0; i < Math.max(a.length, b.length); i++) {
+		var difference = (parseInt(a[i], 10) || 0) - (parseInt(b[i], 10) || 0);
+		if (difference) return difference > 0 ? 1 : -1;
+	}
+	return 0;
+}
+
+// Tests a version against a range of versions, loosely modelled after npm.
+// A range consists of one or more space-separated comparators, all of which
+// should match: ``>=1.0 <2.0``, ``>1.2``, ``<=0.9``, ``1.2.3`` or ``=1.2.3``, 
+// an x-range like ``1.x``, ``~1.2`` (any 1.2 version), ``^1.2`` (any 1.x version 
+// from 1.2 onwards), or ``*`` (anything goes). Operators may be followed by 
+// a space, as in ``>= 1.0``.
+function _satisfies_range (version, range) {
+	if (version == null) return !range || range.trim() == '*';
+
+	var comparators = range.trim().replace(/(>=|<=|>|<|=|~|\^)\s+/g, "$1").split(/\s+/);
+	return comparators.every(function (comparator) {
+		var match = comparator.match(/^(>=|<=|>|<|=|~|\^)?v?(.*)$/);
+		var operator = match[1] || '=';
+		var target = match[2].split('.').filter(function (part) {
+			return part != 'x' && part != 'X' && part != '*' && part != '';
+		});
+		if (!target.length) return true;
+		var order = _compare_versions(version, target.join('.'));
+		// compare only the parts that are specified, so 1.2.5 matches 1.2
+		var prefix = version.toString().split('.').slice(0, target.length).join('.');
+		var same_prefix = _compare_versions(prefix, target.join('.')) == 0;
+
+		switch (operator) {
+			case '>=': return order >= 0;
+			case '<=': return order <= 0 || same_prefix;
+			case '>': return order > 0 && !same_prefix;
+			case '<': return order < 0 && !same_prefix;
+			case '=': return same_prefix;
+			case '~':
+				var minor = target.slice(0, 2).join('.');
+				return order >= 0 && version.toString().split('.').slice(0, minor.split('.').length).join('.') == minor;
+			case '^':
+				var major = target[0] == '0' && target.length > 1 ? target.slice(0, 2).join('.') : target[0];
+				return order >= 0 && version.toString().split('.').slice(0, major.split('.').length).join('.') == major;
+		}
+	});
+}
+
+function Module (file_or_folder, is_package, parent) {	
 	var self = this;
 	
 	this.eval = function (file) {
-		var exports = {};
+		// the exports object is shared with anyone who requires this module 
+		// while it's still loading, so we populate it rather than replace it
+		var exports = self.exports;
+		// a module can export a single object, like a constructor, 
+		// by reassigning ``module.exports``
 		var module = {
 			'id': self.id,
-			'uri': self.uri
+			'uri': self.uri,
+			'exports': exports,
+			'resource': self.resource
 			};
+		// modules get their own require function, which also understands relative ids
+		var require = self.require;
 
 		try {
-			$.evalFile(file);
+			if (self.is_data) {
+				module.exports = _read_file(new File(file)).deserialize('json');
+			} else {
+				$.evalFile(file);
+			}
 		} catch (error) {
-			log_buffer.push([3, "Could not fully load " + module.id + "\n" + error]);	
+			// import errors (like disallowed circular imports, or modules that fail 
+			// to load in strict mode) should reach the code that started the import
+			if (error.is(ImportError)) throw error;
+
+			self.error = error;
+			var path = error.fileName || File.decode(file);
+			var message = "Could not fully load {} ({}, line {})\n{}".format(self.qualified_id, path, error.line, error);
+			if (settings.strict_imports) {
+				var import_error = new ImportError(message, path, error.line);
+				import_error.module_id = self.qualified_id;
+				import_error.original_error = error;
+				throw import_error;
+			} else {
+				log_buffer.push([3, message]);
+			}
 		}
-		return exports;		
+		return module.exports;
 	};
 
-	this.extract_submodules = function () {
-		var base = file_or_folder;
+	this.get_submodule_files = function () {
+		var base = new Folder(self.uri);
 		if (is_package) {
 			base.changePath("./lib");
 		}
-		var submodule_files = base.getFiles(_is_valid_module);
-		
-		submodule_files.forEach(function(submodule) {
-			var submodule = new Module(submodule);
+		return base.getFiles(_is_valid_submodule) || [];
+	};
+
+	this.extract_submodules = function () {
+		self.get_submodule_files().forEach(function(submodule) {
+			var submodule = new Module(submodule, false, self);
 			self.submodules[submodule.id] = submodule;
 		});
 	};
 
+	// Looks for added and removed files, but holds on to the submodules 
+	// we already know about, so they keep track of whether they've been loaded.
+	this.rescan = function () {
+		if (!self.parent) {
+			self.manifest = self.read_manifest();
+			self.dependencies_checked = false;
+		}
+		if (!self.packaged) return;
+
+		var submodules = {};
+		self.get_submodule_files().forEach(function (file_or_folder) {
+			var known = self.submodules.values().filter(function (submodule) {
+				return submodule.uri == file_or_folder.absoluteURI;
+			});
+			if (known.length) {
+				var submodule = known[0];
+				submodule.rescan();
+			} else {
+				var submodule = new Module(file_or_folder, false, self);
+			}
+			submodules[submodule.id] = submodule;
+		});
+		self.submodules = submodules;
+	};
+
 	this.get_submodule = function (terms) {
-		var submodule = self.submodules[terms.shift()]
+		var id = terms.shift();
+		var submodule = self.submodules[id];
+		if (!submodule) {
+			throw Error("No module named {}/{}".format(self.qualified_id, id));
+		}
 		if (terms.length) {
 			return submodule.get_submodule(terms);
 		} else {
@@ -91,32 +380,287 @@ function Module (file_or_folder, is_package) {
 		}
 	}
 
+	// the package a module belongs to; for packages, that's themselves
+	this.get_package = function () {
+		return self.parent ? self.parent.get_package() : self;
+	}
+
+	// Packages can describe themselves in a CommonJS-style package.json manifest, e.g.
+	// {"name": "http", "version": "0.4.0", "dependencies": {"io": ">=0.4"}, "hosts": {"indesign": ">=6.0"}}
+	this.read_manifest = function () {
+		var manifest = {
+			'name': self.id,
+			'version': null,
+			'description': '',
+			'dependencies': {},
+			'hosts': {},
+			'settings': {}
+		};
+		if (!self.packaged) return manifest;
+
+		var file = new File("package.json").at(self.uri);
+		if (file.exists) {
+			try {
+				manifest.merge(_read_file(file).deserialize('json'));
+			} catch (error) {
+				log_buffer.push([3, "Could not read the manifest for package {}\n{}", self.id, error]);
+			}
+		}
+		return manifest;
+	}
+
+	// Lists which of the dependencies and supported host apps in 
+	// the manifest aren't satisfied, as human-readable messages.
+	this.get_unmet_dependencies = function () {
+		var unmet = [];
+		var dependencies = self.manifest.dependencies;
+		for (var id in dependencies) {
+			if (!dependencies.hasOwnProperty(id)) continue;
+			var range = dependencies[id];
+			if (!__modules__.hasOwnProperty(id)) {
+				unmet.push("requires {} {}, which is not installed".format(id, range));
+			} else {
+				var version = __modules__[id].manifest.version;
+				if (!_satisfies_range(version, range)) {
+					unmet.push("requires {} {}, but found version {}".format(id, range, version || "(unknown)"));
+				}
+			}
+		}
+
+		var hosts = self.manifest.hosts;
+		var supported = hosts.keys();
+		var on_supported_host = supported.some(function (host) {
+			return app.is(host) && _satisfies_range(app.version, hosts[host]);
+		});
+		if (supported.length && !on_supported_host) {
+			unmet.push("supports {}, not {} {}".format(supported.join(", "), app.name, app.version));
+		}
+		return unmet;
+	}
+
+	// Warns about unmet dependencies, or refuses to load the package 
+	// when ``settings.strict_dependencies`` is enabled.
+	this.check_dependencies = function () {
+		if (self.dependencies_checked) return;
+
+		var unmet = self.get_unmet_dependencies();
+		if (unmet.length) {
+			var message = "Package {} {}".format(self.id, unmet.join("; "));
+			if (settings.strict_dependencies) {
+				throw new ImportError(message);
+			} else {
+				log_buffer.push([3, message]);
+			}
+		}
+		self.dependencies_checked = true;
+	}
+
+	// Resources like templates live in the package folder, 
+	// next to ``lib``, ``doc`` and ``test``.
+	this.get_resource_file = function (path) {
+		var pkg = self.get_package();
+		var root = pkg.packaged ? new Folder(pkg.uri) : new File(pkg.uri).parent;
+		return new File(path).at(root);
+	}
+
+	/**
+	 * @desc Reads a text resource, like a template, from the package folder.
+	 * Available to modules as ``module.resource``.
+	 * @param {String} path A path relative to the package folder, e.g. ``templates/report.html``
+	 * @returns {String}
+	 */
+	this.resource = function (path) {
+		var file = self.get_resource_file(path);
+		if (!file.exists) {
+			throw new IOError("Couldn't open resource {} for module {}".format(path, self.qualified_id));
+		}
+		return _read_file(file);
+	}
+
+	// the module that actually gets evaluated when this module is loaded: 
+	// for a package, that's its index module
+	this.get_main = function () {
+		if (self.packaged) {
+			return self.submodules['index'].get_main();
+		} else {
+			return self;
+		}
+	}
+
+	// the file that gets evaluated when this module is loaded
+	this.get_file = function () {
+		return new File(self.get_main().uri);
+	}
+
+	// whether the module's file was modified after we loaded it
+	this.has_changed = function () {
+		if (!self.loaded || !self.modified) return false;
+		var modified = new File(self.uri).modified;
+		return !!modified && modified.getTime() != self.modified.getTime();
+	}
+
+	// Turns a module id that is relative to this module, like ``./url`` 
+	// or ``../io/octals``, into a top-level one, like ``http/url`` or ``io/octals``.
+	// Just like files in a directory, an index module is relative to its own package, 
+	// whereas any other module is relative to the package that contains it.
+	this.qualify = function (module_id) {
+		if (!_is_relative(module_id)) return module_id;
+
+		var terms = self.qualified_id.split('/');
+		if (self.id != 'index') terms.pop();
+		module_id.split('/').forEach(function (term) {
+			if (term == '..') {
+				if (!terms.length) {
+					throw new ImportError("{} points outside of the package directories (required from {})".format(module_id, self.qualified_id));
+				}
+				terms.pop();
+			} else if (term != '.' && term != '') {
+				terms.push(term);
+			}
+		});
+		return terms.join('/');
+	}
+
+	this.require = function (module_id) {
+		var id = self.qualify(module_id);
+		var exports = require(id);
+		// keep track of who depends on whom, so we know which modules 
+		// to re-run when one of their dependencies gets reloaded
+		var dependency = _get_module(id).get_main();
+		if (!dependency.dependents.contains(self.qualified_id)) {
+			dependency.dependents.push(self.qualified_id);
+		}
+		return exports;
+	}
+
+	this.require.resolve = function (module_id) {
+		return require.resolve(self.qualify(module_id));
+	}
+
+	this.require.packages = function () {
+		return require.packages();
+	}
+
+	this.require.paths = function () {
+		return require.paths();
+	}
+
+	// Modules are evaluated only once; after that, we hand out the cached exports.
+	// A module that gets required while it is still being evaluated 
+	// is part of a circular import chain. Like CommonJS, we return its 
+	// partially populated exports, unless circular imports have been disallowed 
+	// in the settings, in which case we raise an ImportError.
 	this.load = function () {
 		if (self.packaged) {
 			self.exports = self.submodules['index'].load().exports;
-		} else {
+			return self;
+		}
+
+		if (self.loaded) return self;
+
+		self.get_package().check_dependencies();
+
+		if (self.loading) {
+			var chain = __import_chain__.slice(__import_chain__.indexOf(self.qualified_id));
+			chain = chain.concat(self.qualified_id).join(" -> ");
+			if (settings.allow_circular_imports === false) {
+				throw new ImportError("Circular import: " + chain);
+			}
+			log_buffer.push([3, "Circular import: {}. Returning partially loaded exports for {}.", chain, self.qualified_id]);
+			return self;
+		}
+
+		self.loading = true;
+		__import_chain__.push(self.qualified_id);
+		try {
+			self.exports = {};
+			self.error = null;
+			self.modified = new File(self.uri).modified;
 			self.exports = self.eval(self.uri);
+			self.loaded = true;
+		} finally {
+			self.loading = false;
+			__import_chain__.pop();
 		}
-		return self
+		return self;
 	}
 	
 	/* init */
 	this.id = file_or_folder.displayName.split('.')[0];
 	this.uri = file_or_folder.absoluteURI;
 	this.packaged = file_or_folder.is(Folder);
+	this.is_data = !this.packaged && file_or_folder.name.endswith(".json");
+	this.parent = parent || null;
+	// the id you'd pass to ``require`` to get at this module, e.g. ``http/url``
+	if (!this.parent) {
+		this.qualified_id = this.id;
+	} else if (this.id == 'index') {
+		this.qualified_id = this.parent.qualified_id;
+	} else {
+		this.qualified_id = this.parent.qualified_id + '/' + this.id;
+	}
+	this.loaded = false;
+	this.loading = false;
+	// the error that kept this module from loading completely, if any
+	this.error = null;
+	// when the module's file was last modified, at the time we loaded it
+	this.modified = null;
+	// the ids of the modules that require this one
+	this.dependents = [];
 	this.submodules = {};
+	if (!this.parent) {
+		this.manifest = this.read_manifest();
+		this.dependencies_checked = false;
+		// the search path directory this package was found in, 
+		// and any packages further down the search path it shadows
+		this.directory = null;
+		this.shadows = [];
+	}
 	if (this.packaged) {
 		this.extract_submodules();
 	}
 }
 
-function load_modules (packagefolders) {
-	packagefolders.forEach(function(packagefolder) {
-		if (typeof packagefolder === 'string') {
-			var folder = new Folder(packagefolder).at(Folder.extendables);
+// Strings that start with a dot are relative to the Extendables folder, 
+// any other string is an absolute path.
+function _to_folder (directory) {
+	if (typeof directory === 'string') {
+		if (directory.startswith(".")) {
+			return new Folder(directory).at(Folder.extendables);
 		} else {
-			var folder = packagefolder;
+			return new Folder(directory);
 		}
+	} else {
+		return directory;
+	}
+}
+
+/**
+ * @desc The folders Extendables searches for packages, in order of precedence: 
+ * first any folders in the ``EXTENDABLES_PATH`` environment variable 
+ * (separated by semicolons on Windows and colons elsewhere), 
+ * then those in ``settings.package_directories``.
+ * When two folders contain a package with the same name, the first one wins.
+ * @returns {Folder[]}
+ */
+
+require.paths = function () {
+	var directories = [];
+	var env = $.getenv("EXTENDABLES_PATH");
+	if (env) {
+		var separator = File.fs == "Windows" ? ";" : ":";
+		directories = env.split(separator).reject(function (directory) {
+			return directory.trim() == "";
+		});
+	}
+	return directories.concat(settings.package_directories).map(_to_folder);
+}
+
+function load_modules (packagefolders) {
+	packagefolders.forEach(function(packagefolder) {
+		var folder = _to_folder(packagefolder);
+		// not every directory on the search path needs to exist
+		if (!folder.exists) return;
 		var packages = folder.getFiles(_is_valid_module);
 		
 		packages.forEach(function(file_or_folder) {
@@ -124,7 +668,21 @@ function load_modules (packagefolders) {
 			// Check if the file is an alias and, if so, resolve it.
 			if (file_or_folder.alias) file_or_folder = file_or_folder.resolve();
 			var module = new Module(file_or_folder, true);
-			__modules__[module.id] = module;
+			module.directory = folder.absoluteURI;
+
+			// packages that come earlier in the search path take precedence
+			if (__modules__.hasOwnProperty(module.id)) {
+				var existing = __modules__[module.id];
+				if (existing.uri != module.uri && !existing.shadows.contains(module.uri)) {
+					existing.shadows.push(module.uri);
+					log_buffer.push([3, "Package {} in {} shadows the package with the same name in {}", 
+						module.id, existing.directory, module.directory]);
+				}
+			} else {
+				log_buffer.push([5, "Found package {} in {}", module.id, module.directory]);
+				__modules__[module.id] = module;
+				settings.declare(module.manifest.settings, module.id);
+			}
 		});	
 	});
 }
\ No newline at end of file
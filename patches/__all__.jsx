@@ -6,6 +6,7 @@
 #include "file.jsx"
 #include "date.jsx"
 #include "math.jsx"
+#include "locale.jsx"
 #include "dom.application.jsx"
 if (!app.is("toolkit")) {
 	#include "dom.suite.jsx"
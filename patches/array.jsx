@@ -332,6 +332,15 @@ Array.prototype.pluck = function (name) {
 	});
 }
 
+// A salient feature is either a function or the name of an object property.
+Array._salient_feature = function (salient) {
+	if (salient && salient.is(String)) {
+		return function (obj) { return obj[salient]; }
+	} else {
+		return salient || function (obj) { return obj; }
+	}
+}
+
 /**
  * @desc Returns the maximum value in an array.
  *
@@ -348,18 +357,12 @@ Array.prototype.pluck = function (name) {
  */
 
 Array.prototype.max = function (salient) {
-	if (salient && salient.is(String)) {
-		var mapper = function (obj) { return obj[salient]; }
-	} else {
-		var mapper = salient || function (obj) { return obj; }
+	var mapper = Array._salient_feature(salient);
+	var max;
+	for (var i = 0; i < this.length; i++) {
+		if (i == 0 || mapper(this[i]) > mapper(max)) max = this[i];
 	}
-	
-	function fn (a, b) {
-		return mapper(a) > mapper(b);
-	}
-	var array = this.clone();
-	array.sort(fn);
-	return array.pop();
+	return max;
 };
 
 /**
@@ -369,18 +372,12 @@ Array.prototype.max = function (salient) {
  */
 
 Array.prototype.min = function (salient) {
-	if (salient && salient.is(String)) {
-		var mapper = function (obj) { return obj[salient]; }
-	} else {
-		var mapper = salient || function (obj) { return obj; }
-	}
-	
-	function fn (a, b) {
-		return mapper(a) > mapper(b);
+	var mapper = Array._salient_feature(salient);
+	var min;
+	for (var i = 0; i < this.length; i++) {
+		if (i == 0 || mapper(this[i]) < mapper(min)) min = this[i];
 	}
-	var array = this.clone();
-	array.sort(fn);
-	return array.shift();
+	return min;
 }
 
 /**
@@ -399,13 +396,7 @@ Array.prototype.min = function (salient) {
  */
 
 Array.prototype.sum = function (salient) {
-	if (salient && salient.is(String)) {
-		var mapper = function (obj) { return obj[salient]; }
-	} else {
-		var mapper = salient || function (obj) { return obj; }
-	}
-
-	var features = this.map(mapper);
+	var features = this.map(Array._salient_feature(salient));
 	
 	return features.reduce(function (a, b) { return a + b; });	
 }
@@ -479,4 +470,232 @@ Array.prototype.last = function () {
 
 Array.prototype.contains = function (obj) {
 	return this.indexOf(obj) != -1;
+}
+
+/**
+ * @desc Groups the items in an array by a salient feature.
+ * @param {Function|String} salient_feature See ``max``.
+ * @returns {Object} An object with an array of items for each value of the salient feature.
+ *
+ * @example
+ *     > ['one', 'two', 'three'].group_by('length');
+ *     {'3': ['one', 'two'], '5': ['three']}
+ */
+
+Array.prototype.group_by = function (salient) {
+	var mapper = Array._salient_feature(salient);
+	var groups = {};
+	this.forEach(function (item) {
+		var key = mapper(item);
+		if (!groups.hasOwnProperty(key)) groups[key] = [];
+		groups[key].push(item);
+	});
+	return groups;
+}
+
+/**
+ * @desc Counts how many items in an array share the same salient feature.
+ * @param {Function|String} salient_feature See ``max``.
+ * @returns {Object} An object with the number of items for each value of the salient feature.
+ *
+ * @example
+ *     > [1, 2, 3, 4, 5].count_by(function (n) { return n % 2 ? 'odd' : 'even'; });
+ *     {'odd': 3, 'even': 2}
+ */
+
+Array.prototype.count_by = function (salient) {
+	var mapper = Array._salient_feature(salient);
+	var counts = {};
+	this.forEach(function (item) {
+		var key = mapper(item);
+		counts[key] = counts.hasOwnProperty(key) ? counts[key] + 1 : 1;
+	});
+	return counts;
+}
+
+/**
+ * @desc Indexes the items in an array by a salient feature that's unique to each item, 
+ * like an id. If two items share the same feature, the last one wins.
+ * @param {Function|String} salient_feature See ``max``.
+ * @returns {Object}
+ *
+ * @example
+ *     > var people = [{'id': 'alf', 'name': 'Alfred'}, {'id': 'zed', 'name': 'Zed'}];
+ *     > people.index_by('id')['zed'].name;
+ *     'Zed'
+ */
+
+Array.prototype.index_by = function (salient) {
+	var mapper = Array._salient_feature(salient);
+	var index = {};
+	this.forEach(function (item) {
+		index[mapper(item)] = item;
+	});
+	return index;
+}
+
+/**
+ * @desc Returns a sorted copy of the array. The sort is stable: items that 
+ * are equal keep their original order. Pass in more than one salient feature 
+ * to break ties. Prefix property names with a minus to sort in descending order.
+ * @param {Function|String} salient_feature See ``max``.
+ *
+ * @example
+ *     > people.sort_by('-age', 'name');
+ */
+
+Array.prototype.sort_by = function () {
+	var keys = arguments.to('array').map(function (salient) {
+		var descending = salient.is(String) && salient.startswith('-');
+		return {
+			'mapper': Array._salient_feature(descending ? salient.slice(1) : salient), 
+			'direction': descending ? -1 : 1
+		};
+	});
+	if (!keys.length) keys.push({'mapper': Array._salient_feature(), 'direction': 1});
+
+	// decorate-sort-undecorate, with the original position as the final tie-breaker
+	var decorated = this.map(function (item, i) {
+		return {
+			'item': item, 
+			'position': i, 
+			'features': keys.map(function (key) { return key.mapper(item); })
+		};
+	});
+	decorated.sort(function (a, b) {
+		for (var i = 0; i < keys.length; i++) {
+			if (a.features[i] < b.features[i]) return -keys[i].direction;
+			if (a.features[i] > b.features[i]) return keys[i].direction;
+		}
+		return a.position - b.position;
+	});
+	return decorated.pluck('item');
+}
+
+/**
+ * @desc Returns a copy of the array without duplicates, keeping the first occurrence of each item.
+ * @param {Function|String} [salient_feature] Items with the same salient feature 
+ *     count as duplicates. See ``max``.
+ *
+ * @example
+ *     > [1, 2, 1, 3, 2].unique();
+ *     [1, 2, 3]
+ */
+
+Array.prototype.unique = function (salient) {
+	var mapper = Array._salient_feature(salient);
+	var seen = [];
+	return this.filter(function (item) {
+		var feature = mapper(item);
+		if (seen.contains(feature)) return false;
+		seen.push(feature);
+		return true;
+	});
+}
+
+/**
+ * @desc Merges this array with one or more other arrays into an array 
+ * of arrays, each with the items at the same position. 
+ * The result is as long as the shortest array.
+ * @param {Array} arrays
+ *
+ * @example
+ *     > ['a', 'b', 'c'].zip([1, 2, 3]);
+ *     [['a', 1], ['b', 2], ['c', 3]]
+ */
+
+Array.prototype.zip = function () {
+	var arrays = [this].concat(arguments.to('array'));
+	var length = arrays.min('length').length;
+	var zipped = [];
+	for (var i = 0; i < length; i++) {
+		zipped.push(arrays.pluck(i));
+	}
+	return zipped;
+}
+
+/**
+ * @desc Splits an array in two: the items for which the salient feature is truthy, and the rest.
+ * @param {Function|String} salient_feature See ``max``.
+ * @returns {Array} An array with two arrays.
+ *
+ * @example
+ *     > [1, 2, 3, 4, 5].partition(function (n) { return n > 3; });
+ *     [[4, 5], [1, 2, 3]]
+ */
+
+Array.prototype.partition = function (salient) {
+	var mapper = Array._salient_feature(salient);
+	var partitions = [[], []];
+	this.forEach(function (item) {
+		partitions[mapper(item) ? 0 : 1].push(item);
+	});
+	return partitions;
+}
+
+/**
+ * @desc Splits an array into arrays of (at most) ``size`` items.
+ * @param {Number} size
+ *
+ * @example
+ *     > [1, 2, 3, 4, 5].chunk(2);
+ *     [[1, 2], [3, 4], [5]]
+ */
+
+Array.prototype.chunk = function (size) {
+	if (!(size > 0)) throw new RangeError("Chunk size should be a positive number");
+	var chunks = [];
+	for (var i = 0; i < this.length; i += size) {
+		chunks.push(this.slice(i, i + size));
+	}
+	return chunks;
+}
+
+/**
+ * @desc Returns the items in this array that aren't in any of the other arrays.
+ * @param {Array} arrays
+ * @param {Function|String} [salient_feature] Pass this after the arrays to compare 
+ *     items by a salient feature instead of by identity. See ``max``.
+ *
+ * @example
+ *     > [1, 2, 3, 4].difference([2, 4], [1]);
+ *     [3]
+ *     > [{'id': 1}, {'id': 2}].difference([{'id': 2}], 'id');
+ *     [{'id': 1}]
+ */
+
+Array.prototype.difference = function () {
+	var others = arguments.to('array');
+	// a last argument that isn't an array is the salient feature
+	var salient = others.length && !(others.slice(-1)[0] instanceof Array) ? others.pop() : undefined;
+	var mapper = Array._salient_feature(salient);
+	var features = Array.prototype.concat.apply([], others).map(mapper);
+	return this.reject(function (item) {
+		return features.contains(mapper(item));
+	});
+}
+
+/**
+ * @desc Returns the items in this array that are also in each of the other arrays, without duplicates.
+ * @param {Array} arrays
+ * @param {Function|String} [salient_feature] See ``difference``.
+ *
+ * @example
+ *     > [1, 2, 3, 4].intersection([2, 3, 4, 5], [3, 4, 6]);
+ *     [3, 4]
+ */
+
+Array.prototype.intersection = function () {
+	var others = arguments.to('array');
+	var salient = others.length && !(others.slice(-1)[0] instanceof Array) ? others.pop() : undefined;
+	var mapper = Array._salient_feature(salient);
+	var features = others.map(function (other) {
+		return other.map(mapper);
+	});
+	return this.unique(salient).filter(function (item) {
+		var feature = mapper(item);
+		return features.every(function (other) {
+			return other.contains(feature);
+		});
+	});
 }
\ No newline at end of file
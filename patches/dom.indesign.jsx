@@ -208,6 +208,54 @@ PageItem.prototype.tag = tag;
 
 TextFrame.prototype.tag = tag;
 
+/**
+ * @class
+ * @name Story
+ */
+
+/**
+ * @desc Cleans up the typography of a story: smart quotes, dashes, 
+ * ellipses, non-breaking spaces and Unicode normalization. 
+ * Uses the ``typography`` package, but instead of replacing the 
+ * story's contents wholesale, it makes its changes one by one, 
+ * so character styles and local formatting stay where they are.
+ *
+ * @param {Object} [options] Takes the same options as ``typography.clean``.
+ * @returns {Object[]} Every change that was made, with the ``rule`` 
+ *     that made it, its ``position``, what it changed (``from`` and ``to``) 
+ *     and a ``message``.
+ *
+ * @example
+ *     var story = current('document').stories.item(0);
+ *     story.clean_typography({'language': 'fr'}).forEach(function (change) {
+ *         $.writeln(change.message);
+ *     });
+ */
+
+Story.prototype.clean_typography = function (options) {
+	var typography = require("typography");
+	var options = options || {};
+	var rules = options.rules || typography.defaults;
+	var changes = [];
+	// positions are relative to the text as it was before each rule, 
+	// so we apply one rule at a time, and each rule's changes back to front
+	for (var i = 0; i < rules.length; i++) {
+		var cleaned = typography.clean(this.contents, options.clone().merge({'rules': [rules[i]]}));
+		for (var j = cleaned.changes.length - 1; j > -1; j--) {
+			var change = cleaned.changes[j];
+			if (change.to.length) {
+				this.insertionPoints.item(change.position).contents = change.to;
+			}
+			if (change.from.length) {
+				var start = change.position + change.to.length;
+				this.characters.itemByRange(start, start + change.from.length - 1).remove();
+			}
+		}
+		changes = changes.concat(cleaned.changes);
+	}
+	return changes;
+}
+
 /**
  * @class
  * @name Asset
@@ -0,0 +1,255 @@
+﻿/*
+ * Locale-aware formatting for numbers, percentages, currency and ordinals, 
+ * used by the ``n`` format type and by conversions like ``to('currency')``. 
+ * Unless you ask for a specific locale, the formatters use ``$.locale``, 
+ * the locale of the application the script runs in. 
+ * The ``utils/locale`` module has the same formatters.
+ */
+
+// non-breaking spaces keep numbers and their units together in print
+Number._nbsp = '\u00A0';
+
+/**
+ * @desc Currency symbols and the number of decimals each currency is usually shown with.
+ */
+
+Number.currencies = {
+	'AUD': {'symbol': '$', 'decimals': 2}, 
+	'BRL': {'symbol': 'R$', 'decimals': 2}, 
+	'CAD': {'symbol': '$', 'decimals': 2}, 
+	'CHF': {'symbol': 'CHF', 'decimals': 2}, 
+	'EUR': {'symbol': '€', 'decimals': 2}, 
+	'GBP': {'symbol': '£', 'decimals': 2}, 
+	'JPY': {'symbol': '¥', 'decimals': 0}, 
+	'MXN': {'symbol': '$', 'decimals': 2}, 
+	'SEK': {'symbol': 'kr', 'decimals': 2}, 
+	'USD': {'symbol': '$', 'decimals': 2}
+}
+
+Number._english_ordinal = function (n) {
+	var tens = n % 100;
+	var units = n % 10;
+	if (tens > 10 && tens < 14) return n + 'th';
+	return n + (['th', 'st', 'nd', 'rd'][units] || 'th');
+}
+
+/**
+ * @desc Formatting conventions for a number of languages, and the countries 
+ * where they differ from the language as a whole. Countries are keyed 
+ * like ``$.locale``: ``en_GB``, ``fr_CA``. Add your own if you need them.
+ */
+
+Number.locales = {
+	'en': {
+		'decimal': '.', 
+		'group': ',', 
+		'currency': 'USD', 
+		'currency_format': '{symbol}{number}', 
+		'percent_format': '{number}%', 
+		'ordinal': Number._english_ordinal
+	}, 
+	'en_AU': {'currency': 'AUD'}, 
+	'en_CA': {'currency': 'CAD'}, 
+	'en_GB': {'currency': 'GBP'}, 
+	'en_IE': {'currency': 'EUR'}, 
+	'fr': {
+		'decimal': ',', 
+		'group': Number._nbsp, 
+		'currency': 'EUR', 
+		'currency_format': '{number}' + Number._nbsp + '{symbol}', 
+		'percent_format': '{number}' + Number._nbsp + '%', 
+		'ordinal': function (n) { return n == 1 ? '1er' : n + 'e'; }
+	}, 
+	'fr_CA': {'currency': 'CAD'}, 
+	'fr_CH': {'decimal': '.', 'currency': 'CHF'}, 
+	'de': {
+		'decimal': ',', 
+		'group': '.', 
+		'currency': 'EUR', 
+		'currency_format': '{number}' + Number._nbsp + '{symbol}', 
+		'percent_format': '{number}' + Number._nbsp + '%', 
+		'ordinal': function (n) { return n + '.'; }
+	}, 
+	'de_CH': {'decimal': '.', 'group': '’', 'currency': 'CHF', 'currency_format': '{symbol}' + Number._nbsp + '{number}'}, 
+	'nl': {
+		'decimal': ',', 
+		'group': '.', 
+		'currency': 'EUR', 
+		'currency_format': '{symbol}' + Number._nbsp + '{number}', 
+		'percent_format': '{number}%', 
+		'ordinal': function (n) { return n + 'e'; }
+	}, 
+	'es': {
+		'decimal': ',', 
+		'group': '.', 
+		'currency': 'EUR', 
+		'currency_format': '{number}' + Number._nbsp + '{symbol}', 
+		'percent_format': '{number}' + Number._nbsp + '%', 
+		'ordinal': function (n) { return n + '.º'; }
+	}, 
+	'es_MX': {'decimal': '.', 'group': ',', 'currency': 'MXN', 'currency_format': '{symbol}{number}', 'percent_format': '{number}%'}, 
+	'it': {
+		'decimal': ',', 
+		'group': '.', 
+		'currency': 'EUR', 
+		'currency_format': '{number}' + Number._nbsp + '{symbol}', 
+		'percent_format': '{number}%', 
+		'ordinal': function (n) { return n + 'º'; }
+	}, 
+	'pt': {
+		'decimal': ',', 
+		'group': Number._nbsp, 
+		'currency': 'EUR', 
+		'currency_format': '{number}' + Number._nbsp + '{symbol}', 
+		'percent_format': '{number}%', 
+		'ordinal': function (n) { return n + '.º'; }
+	}, 
+	'pt_BR': {'group': '.', 'currency': 'BRL', 'currency_format': '{symbol}' + Number._nbsp + '{number}'}, 
+	'sv': {
+		'decimal': ',', 
+		'group': Number._nbsp, 
+		'currency': 'SEK', 
+		'currency_format': '{number}' + Number._nbsp + '{symbol}', 
+		'percent_format': '{number}' + Number._nbsp + '%', 
+		'ordinal': function (n) { return n + ':' + ([1, 2].contains(n % 10) && ![11, 12].contains(n % 100) ? 'a' : 'e'); }
+	}
+}
+
+/**
+ * @desc The formatting conventions for a locale. Locales we don't know 
+ * about fall back to their language (``fr_LU`` to ``fr``), 
+ * and languages we don't know about fall back to English.
+ * @param {String} [locale=$.locale] A locale like ``en_US`` or ``fr_BE``.
+ * @returns {Object} An object with the ``decimal`` mark, the ``group`` separator, 
+ *     the default ``currency``, the ``currency_format`` and ``percent_format`` 
+ *     and an ``ordinal`` function.
+ */
+
+Number.locale = function (locale) {
+	var name = String(locale || $.locale || 'en').replace('-', '_');
+	var language = name.split('_')[0].toLowerCase();
+	if (!Number.locales.hasOwnProperty(language)) language = 'en';
+	var conventions = {'name': name};
+	for (var key in Number.locales[language]) {
+		if (Number.locales[language].hasOwnProperty(key)) conventions[key] = Number.locales[language][key];
+	}
+	if (Number.locales.hasOwnProperty(name)) {
+		for (var key in Number.locales[name]) {
+			if (Number.locales[name].hasOwnProperty(key)) conventions[key] = Number.locales[name][key];
+		}
+	}
+	return conventions;
+}
+
+// the digits of a number without its sign, grouped and with the right decimal mark
+Number._localize = function (number, decimals, conventions, grouping) {
+	if (decimals === undefined || decimals === null) {
+		// up to three decimals, without any trailing zeroes
+		var digits = String(Math.round_to(Math.abs(number), 3));
+	} else {
+		var digits = Math.round_to(Math.abs(number), decimals).toFixed(decimals);
+	}
+	var parts = digits.split('.');
+	var integer = parts[0];
+	if (grouping !== false) {
+		var groups = [];
+		while (integer.length > 3) {
+			groups.unshift(integer.slice(-3));
+			integer = integer.slice(0, -3);
+		}
+		groups.unshift(integer);
+		integer = groups.join(conventions.group);
+	}
+	return parts.length > 1 ? integer + conventions.decimal + parts[1] : integer;
+}
+
+Number._sign = function (number) {
+	return number < 0 ? '-' : '';
+}
+
+/**
+ * @desc Formats a number with the decimal mark and thousands separator of a locale.
+ * @param {Number} number
+ * @param {Object} [options]
+ * @param {Number} [options.decimals] The number of decimals. By default, 
+ *     shows up to three decimals, but no trailing zeroes.
+ * @param {Bool} [options.grouping=true] Whether to add thousands separators.
+ * @param {String} [options.locale=$.locale]
+ * @returns {String}
+ *
+ * @example
+ *     > Number.localized(1234567.891, {'decimals': 2, 'locale': 'de_DE'});
+ *     "1.234.567,89"
+ */
+
+Number.localized = function (number, options) {
+	var options = options || {};
+	var conventions = Number.locale(options.locale);
+	var number = Number(number);
+	var digits = Number._localize(number, options.decimals, conventions, options.grouping);
+	return (Number(digits.replace(/\D/g, '')) ? Number._sign(number) : '') + digits;
+}
+
+/**
+ * @desc Formats a fraction as a percentage: ``0.25`` becomes ``25%``.
+ * @param {Number} number
+ * @param {Object} [options] Takes the same options as :func:`Number.localized`, 
+ *     but defaults to zero decimals.
+ * @returns {String}
+ *
+ * @example
+ *     > Number.percent(0.075, {'decimals': 1, 'locale': 'fr_FR'});
+ *     "7,5 %"
+ */
+
+Number.percent = function (number, options) {
+	var options = options || {};
+	var conventions = Number.locale(options.locale);
+	var decimals = options.decimals === undefined ? 0 : options.decimals;
+	// rounding first avoids floating point noise, like 0.0725 * 100 = 7.249999999999999
+	var percentage = Math.round_to(Number(number), decimals + 2) * 100;
+	var formatted = Number.localized(percentage, {'decimals': decimals, 'grouping': options.grouping, 'locale': conventions.name});
+	return conventions.percent_format.replace('{number}', formatted);
+}
+
+/**
+ * @desc Formats an amount of money.
+ * @param {Number} amount
+ * @param {Object} [options] Takes the same options as :func:`Number.localized`, and:
+ * @param {String} [options.currency] A currency code like ``EUR`` or ``USD``. 
+ *     Defaults to the currency of the locale.
+ * @param {Number} [options.decimals] Defaults to whatever is usual 
+ *     for the currency, e.g. 2 for euros and 0 for yen.
+ * @returns {String}
+ *
+ * @example
+ *     > Number.currency(-1234.5, {'locale': 'en_US'});
+ *     "-$1,234.50"
+ *     > Number.currency(1234.5, {'locale': 'nl_BE'});
+ *     "€ 1.234,50"
+ */
+
+Number.currency = function (amount, options) {
+	var options = options || {};
+	var conventions = Number.locale(options.locale);
+	var code = (options.currency || conventions.currency).toUpperCase();
+	var currency = Number.currencies[code] || {'symbol': code, 'decimals': 2};
+	var decimals = options.decimals === undefined ? currency.decimals : options.decimals;
+	var amount = Number(amount);
+	var digits = Number._localize(amount, decimals, conventions, options.grouping);
+	return Number._sign(amount) + conventions.currency_format.replace('{symbol}', currency.symbol).replace('{number}', digits);
+}
+
+/**
+ * @desc Formats a number as an ordinal: ``1st``, ``2nd``, ``3rd`` 
+ * in English, ``1er``, ``2e`` in French and so on.
+ * @param {Number} number A whole number.
+ * @param {Object} [options]
+ * @param {String} [options.locale=$.locale]
+ * @returns {String}
+ */
+
+Number.ordinal = function (number, options) {
+	var options = options || {};
+	return Number.locale(options.locale).ordinal(Math.round(Number(number)));
+}
\ No newline at end of file
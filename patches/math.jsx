@@ -16,6 +16,10 @@
  * [0, 3, 6, 9]
  * > Number.range(0, -10, -1);
  * [0, -1, -2, -3, -4, -5, -6, -7, -8, -9]
+ * > Number.range(-3, 3);
+ * [-3, -2, -1, 0, 1, 2]
+ * > Number.range(5, -5, -3);
+ * [5, 2, -1, -4]
  * > Number.range(0);
  * []
  * > Number.range(1, 0);
@@ -33,8 +37,257 @@ Number.range = function () {
 	}
 	
 	var range = [];
-	for (var i = from; Math.abs(i) < Math.abs(to); i = i+step) {
-		range.push(i);
+	// counting up or counting down
+	if (step > 0) {
+		for (var i = from; i < to; i = i+step) range.push(i);
+	} else {
+		for (var i = from; i > to; i = i+step) range.push(i);
 	}
 	return range;
+}
+
+// Statistical functions take either an array or any number of arguments.
+Math._numbers = function (args, fn) {
+	var numbers = args[0] instanceof Array ? args[0] : args.to('array');
+	if (!numbers.length) {
+		throw new ArithmeticError("Can't calculate the {} of an empty list".format(fn));
+	}
+	return numbers;
+}
+
+Math._sorted = function (numbers) {
+	return numbers.slice(0).sort(function (a, b) { return a - b; });
+}
+
+// Moves the decimal point by changing the exponent, which avoids 
+// the rounding errors you get from multiplying, e.g. 1.005 * 100 = 100.49999999999999
+Math._shift = function (number, exponent) {
+	var parts = String(number).split('e');
+	return Number(parts[0] + 'e' + (Number(parts[1] || 0) + exponent));
+}
+
+Math._decimals = function (number) {
+	var parts = String(number).split('e');
+	var decimals = (parts[0].split('.')[1] || '').length - Number(parts[1] || 0);
+	return Math.max(decimals, 0);
+}
+
+/**
+ * @desc The arithmetic mean (the average).
+ * @param {Number[]} numbers An array, or pass in the numbers as separate arguments.
+ * @returns {Number}
+ * @throws {ArithmeticError} When there are no numbers.
+ * @example
+ * > Math.mean([1, 2, 3, 4]);
+ * 2.5
+ */
+
+Math.mean = function () {
+	var numbers = Math._numbers(arguments, 'mean');
+	var total = 0;
+	for (var i = 0; i < numbers.length; i++) total += numbers[i];
+	return total / numbers.length;
+}
+
+/**
+ * @desc The middle value, or the mean of the two middle values if there's 
+ * an even amount of numbers.
+ * @param {Number[]} numbers An array, or pass in the numbers as separate arguments.
+ * @returns {Number}
+ * @throws {ArithmeticError} When there are no numbers.
+ * @example
+ * > Math.median([7, 1, 3, 5]);
+ * 4
+ */
+
+Math.median = function () {
+	var numbers = Math._sorted(Math._numbers(arguments, 'median'));
+	var middle = Math.floor(numbers.length / 2);
+	if (numbers.length % 2) {
+		return numbers[middle];
+	} else {
+		return (numbers[middle - 1] + numbers[middle]) / 2;
+	}
+}
+
+/**
+ * @desc The most common value. If there's a tie, the value that comes first wins.
+ * Works for strings too.
+ * @param {Array} values An array, or pass in the values as separate arguments.
+ * @throws {ArithmeticError} When there are no values.
+ * @example
+ * > Math.mode([1, 2, 2, 3, 3]);
+ * 2
+ */
+
+Math.mode = function () {
+	var values = Math._numbers(arguments, 'mode');
+	var counts = {};
+	var mode = values[0];
+	for (var i = 0; i < values.length; i++) {
+		// prefix the keys, so values like "keys" don't clash with object methods
+		var key = typeof values[i] + ':' + values[i];
+		counts[key] = counts.hasOwnProperty(key) ? counts[key] + 1 : 1;
+		if (counts[key] > counts[typeof mode + ':' + mode]) mode = values[i];
+	}
+	return mode;
+}
+
+/**
+ * @desc The value below which a given percentage of the numbers fall, 
+ * interpolating between the two closest numbers when necessary.
+ * @param {Number[]} numbers
+ * @param {Number} percentile A number from 0 to 100: the 50th percentile is 
+ *     the median, the 0th is the minimum and the 100th is the maximum.
+ * @returns {Number}
+ * @throws {ArithmeticError} When there are no numbers.
+ * @throws {RangeError} When the percentile is not between 0 and 100.
+ * @example
+ * > Math.percentile([1, 2, 3, 4, 5], 90);
+ * 4.6
+ */
+
+Math.percentile = function (numbers, percentile) {
+	var numbers = Math._sorted(Math._numbers([numbers], 'percentile'));
+	if (!(percentile >= 0 && percentile <= 100)) {
+		throw new RangeError("Percentiles go from 0 to 100, not {}".format(percentile));
+	}
+	var rank = percentile / 100 * (numbers.length - 1);
+	var below = Math.floor(rank);
+	if (below == rank) return numbers[rank];
+	return Math.lerp(numbers[below], numbers[below + 1], rank - below);
+}
+
+/**
+ * @desc The variance: the mean of the squared deviations from the mean.
+ * @param {Number[]} numbers
+ * @param {Bool} [sample=false] Calculate the sample variance (dividing by 
+ *     ``n - 1`` rather than ``n``), for when the numbers are a sample 
+ *     of a larger population.
+ * @returns {Number}
+ * @throws {ArithmeticError} When there are no numbers, or only one for a sample.
+ */
+
+Math.variance = function (numbers, sample) {
+	var numbers = Math._numbers([numbers], 'variance');
+	if (sample && numbers.length < 2) {
+		throw new ArithmeticError("Can't calculate the sample variance of a single number");
+	}
+	var mean = Math.mean(numbers);
+	var squares = 0;
+	for (var i = 0; i < numbers.length; i++) {
+		squares += Math.pow(numbers[i] - mean, 2);
+	}
+	return squares / (numbers.length - (sample ? 1 : 0));
+}
+
+/**
+ * @desc The standard deviation, which is the square root of the variance.
+ * @param {Number[]} numbers
+ * @param {Bool} [sample=false] See :func:`Math.variance`.
+ * @returns {Number}
+ * @example
+ * > Math.standard_deviation([2, 4, 4, 4, 5, 5, 7, 9]);
+ * 2
+ */
+
+Math.standard_deviation = function (numbers, sample) {
+	return Math.sqrt(Math.variance(numbers, sample));
+}
+
+/**
+ * @desc Keeps a number within bounds.
+ * @param {Number} number
+ * @param {Number} min
+ * @param {Number} max
+ * @returns {Number}
+ * @example
+ * > Math.clamp(14, 6, 12);
+ * 12
+ */
+
+Math.clamp = function (number, min, max) {
+	return Math.min(Math.max(number, min), max);
+}
+
+/**
+ * @desc Linear interpolation: the number that lies a fraction ``t`` 
+ * of the way from ``a`` to ``b``.
+ * @param {Number} a
+ * @param {Number} b
+ * @param {Number} t ``0`` gives you ``a``, ``1`` gives you ``b``.
+ * @returns {Number}
+ * @example
+ * > Math.lerp(10, 20, 0.25);
+ * 12.5
+ */
+
+Math.lerp = function (a, b, t) {
+	return a + (b - a) * t;
+}
+
+/**
+ * @desc Rounds a number to a number of decimals. Halfway cases are rounded 
+ * away from zero, and unlike ``toFixed``, it doesn't trip over numbers like 
+ * ``1.005`` that can't be represented exactly.
+ * @param {Number} number
+ * @param {Number} [decimals=0] Negative numbers round to tens, hundreds et cetera.
+ * @returns {Number}
+ * @example
+ * > Math.round_to(1.005, 2);
+ * 1.01
+ * > Math.round_to(1250, -2);
+ * 1300
+ */
+
+Math.round_to = function (number, decimals) {
+	var decimals = decimals || 0;
+	var sign = number < 0 ? -1 : 1;
+	return sign * Math._shift(Math.round(Math._shift(Math.abs(number), decimals)), -decimals);
+}
+
+/**
+ * @desc Rounds a number to the nearest multiple of a step, e.g. the nearest 
+ * quarter point or the nearest half millimeter.
+ * @param {Number} number
+ * @param {Number} step
+ * @returns {Number}
+ * @example
+ * > Math.round_to_step(10.4, 0.25);
+ * 10.5
+ */
+
+Math.round_to_step = function (number, step) {
+	if (!step) throw new RangeError("Can't round to a step of {}".format(step));
+	var rounded = Math.round_to(number / step) * step;
+	// gets rid of floating point noise like 0.30000000000000004
+	return Math.round_to(rounded, Math._decimals(step));
+}
+
+/**
+ * @desc Banker's rounding: rounds halfway cases to the nearest even number, 
+ * so rounding a lot of numbers doesn't skew their sum upwards.
+ * @param {Number} number
+ * @param {Number} [decimals=0]
+ * @returns {Number}
+ * @example
+ * > Math.round_half_even(2.5);
+ * 2
+ * > Math.round_half_even(3.5);
+ * 4
+ * > Math.round_half_even(0.125, 2);
+ * 0.12
+ */
+
+Math.round_half_even = function (number, decimals) {
+	var decimals = decimals || 0;
+	var shifted = Math._shift(number, decimals);
+	var floor = Math.floor(shifted);
+	var difference = shifted - floor;
+	if (Math.abs(difference - 0.5) < 1e-9) {
+		var rounded = floor % 2 == 0 ? floor : floor + 1;
+	} else {
+		var rounded = Math.round(shifted);
+	}
+	return Math._shift(rounded, -decimals);
 }
\ No newline at end of file
@@ -20,75 +20,769 @@ keyvalue.encode = function (obj, options) {
 	});
 	return output;
 }
+// splits a line at the first separator only, so values may contain the separator
+keyvalue.split = function (line, separator) {
+	var i = line.indexOf(separator);
+	if (i == -1) return null;
+	return [line.substring(0, i), line.substring(i + separator.length)];
+}
 keyvalue.decode = function (str, options) {
 	var separator = options["separator"] || "=";
 	var eol = options["eol"] || "\n";
 	var obj = {};
 	var pairs = str.split(eol);
-	pairs.forEach(function (pair) {
-		pair = pair.split(separator);
+	pairs.forEach(function (line) {
+		var pair = keyvalue.split(line, separator);
+		if (!pair) return;
+		// trimming takes care of stray carriage returns and optional whitespace
+		if (options["trim"]) pair = pair.map(function (part) { return part.trim(); });
 		obj[pair[0]] = pair[1];
 	});
 	return obj;	
 }
 
+// INI files have sections, which become nested objects, and comments, 
+// which we hold on to in the ``_comments`` property of the section they're in, 
+// keyed by the name of the key or section that comes right after them, so 
+// they survive a round-trip. Keys that end in ``[]`` are arrays.
+
+var ini = {};
+ini.defaults = {
+	'separator': '=', 
+	'eol': '\n', 
+	'types': true
+};
+
+ini.options = function (options) {
+	return ini.defaults.clone().merge(options || {});
+}
+
+ini.escapes = {'\\': '\\', '"': '"', "'": "'", 'n': '\n', 'r': '\r', 't': '\t', ';': ';', '#': '#'};
+
+ini.value = function (raw, options) {
+	var value = raw.trim();
+	var quoted = value.match(/^"((?:\\.|[^"\\])*)"\s*([;#].*)?$/) || value.match(/^'((?:\\.|[^'\\])*)'\s*([;#].*)?$/);
+	if (quoted) {
+		return quoted[1].replace(/\\(.)/g, function (match, character) {
+			return ini.escapes.hasOwnProperty(character) ? ini.escapes[character] : match;
+		});
+	}
+	// unquoted values can have a comment at the end
+	value = value.replace(/\s+[;#].*$/, "");
+	if (!options.types) return value;
+	if (value == "true" || value == "false") return value == "true";
+	if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(value)) return Number(value);
+	return value;
+}
+
+ini.decode = function (str, options) {
+	var options = ini.options(options);
+	var separator = options.separator.trim();
+	var root = {};
+	var section = root;
+	var comments = [];
+
+	function comment (obj, key) {
+		if (!comments.length) return;
+		if (!obj.hasOwnProperty('_comments')) obj._comments = {};
+		obj._comments[key] = comments;
+		comments = [];
+	}
+
+	var lines = str.split(/\r\n|\r|\n/);
+	for (var i = 0; i < lines.length; i++) {
+		var line = lines[i].trim();
+		if (!line.length) continue;
+		if (line.charAt(0) == ";" || line.charAt(0) == "#") {
+			comments.push(line);
+		} else if (line.charAt(0) == "[") {
+			var header = line.match(/^\[([^\]]+)\]\s*([;#].*)?$/);
+			if (!header) throw new ParseError("Invalid section header on line {}: {}".format(i + 1, line));
+			// dotted section names nest
+			var path = header[1].split(".");
+			section = root;
+			for (var j = 0; j < path.length; j++) {
+				var name = path[j].trim();
+				if (j == path.length - 1) comment(section, name);
+				if (!section.hasOwnProperty(name) || typeof section[name] != 'object') section[name] = {};
+				section = section[name];
+			}
+		} else {
+			var pair = keyvalue.split(line, separator);
+			if (!pair) throw new ParseError("Expected a key and a value on line {}: {}".format(i + 1, line));
+			var key = pair[0].trim();
+			var value = ini.value(pair[1], options);
+			if (key.endswith("[]")) {
+				key = key.slice(0, -2);
+				if (!(section[key] instanceof Array)) section[key] = [];
+				comment(section, key);
+				section[key].push(value);
+			} else {
+				comment(section, key);
+				section[key] = value;
+			}
+		}
+	}
+	// comments at the very end of the file
+	comment(root, "");
+	return root;
+}
+
+ini.format = function (value, options) {
+	if (value === null || value === undefined) return "";
+	if (value instanceof Date) return value.to_iso();
+	if (typeof value != 'string' && !(value instanceof String)) return String(value);
+	// strings that would otherwise read back as something else get quotes
+	var typed = options.types && (ini.value(value, options) !== String(value));
+	if (typed || /^\s|\s$|^["']|[;#\r\n\t\\]/.test(value)) {
+		return '"' + value.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n").replace(/\r/g, "\\r").replace(/\t/g, "\\t") + '"';
+	}
+	return value;
+}
+
+ini.encode = function (obj, options) {
+	var options = ini.options(options);
+	var separator = " " + options.separator.trim() + " ";
+	var lines = [];
+
+	function comments (section, key) {
+		if (section.hasOwnProperty('_comments') && section._comments.hasOwnProperty(key)) {
+			lines.push.apply(lines, section._comments[key]);
+		}
+	}
+
+	function write (section, path) {
+		var subsections = [];
+		for (var key in section) {
+			if (!section.hasOwnProperty(key) || key.startswith("_") || typeof section[key] == 'function') continue;
+			var value = section[key];
+			if (value instanceof Array) {
+				comments(section, key);
+				value.forEach(function (item) {
+					lines.push(key + "[]" + separator + ini.format(item, options));
+				});
+			} else if (value !== null && typeof value == 'object' && !(value instanceof Date || value instanceof String || 
+				value instanceof Number || value instanceof Boolean)) {
+				subsections.push(key);
+			} else {
+				comments(section, key);
+				lines.push(key + separator + ini.format(value, options));
+			}
+		}
+		subsections.forEach(function (key) {
+			var name = path.concat(key);
+			if (lines.length) lines.push("");
+			comments(section, key);
+			lines.push("[" + name.join(".") + "]");
+			write(section[key], name);
+		});
+	}
+
+	write(obj, []);
+	comments(obj, "");
+	return lines.join(options.eol) + options.eol;
+}
+
+// XML serialization maps objects onto elements: keys that start with ``@`` 
+// become attributes, ``#text`` and ``#cdata`` become text and CDATA sections, 
+// and arrays become repeated elements. We write XML ourselves rather than 
+// through E4X, which can't write CDATA sections, but read it with E4X, 
+// which can't tell them apart from text, so CDATA sections come back as text.
+
+var xml = {};
+xml.defaults = {
+	'root': 'root', 
+	'pretty': true, 
+	'indent': '  ', 
+	'declaration': true, 
+	'namespaces': {}, 
+	'arrays': [], 
+	'attribute_prefix': '@', 
+	'text': '#text', 
+	'cdata': '#cdata'
+};
+
+xml.options = function (options) {
+	return xml.defaults.clone().merge(options || {});
+}
+
+xml.escape = function (value, attribute) {
+	var escaped = String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+	return attribute ? escaped.replace(/"/g, "&quot;") : escaped;
+}
+
+xml.value = function (value) {
+	return value instanceof Date ? value.to_iso() : String(value);
+}
+
+xml.is_scalar = function (value) {
+	return typeof value != 'object' || value instanceof String || value instanceof Number || 
+		value instanceof Boolean || value instanceof Date;
+}
+
+xml.element = function (name, value, options, depth) {
+	var indent = options.pretty ? new Array(depth + 1).join(options.indent) : "";
+	var eol = options.pretty ? "\n" : "";
+
+	if (value instanceof Array) {
+		return value.map(function (item) {
+			return xml.element(name, item, options, depth);
+		}).join("");
+	} else if (value === null || value === undefined) {
+		return indent + "<" + name + "/>" + eol;
+	} else if (xml.is_scalar(value)) {
+		return indent + "<" + name + ">" + xml.escape(xml.value(value)) + "</" + name + ">" + eol;
+	}
+
+	var attributes = "";
+	var text = "";
+	var children = [];
+	for (var key in value) {
+		if (!value.hasOwnProperty(key) || typeof value[key] == 'function') continue;
+		if (key.indexOf(options.attribute_prefix) == 0) {
+			attributes += " " + key.substring(options.attribute_prefix.length) + '="' + xml.escape(xml.value(value[key]), true) + '"';
+		} else if (key == options.text) {
+			text += xml.escape(xml.value(value[key]));
+		} else if (key == options.cdata) {
+			// a CDATA section can't contain its own terminator, so we split it up
+			text += "<![CDATA[" + String(value[key]).replace(/\]\]>/g, "]]]]><![CDATA[>") + "]]>";
+		} else {
+			children.push(key);
+		}
+	}
+
+	if (!children.length && !text.length) {
+		return indent + "<" + name + attributes + "/>" + eol;
+	} else if (!children.length) {
+		return indent + "<" + name + attributes + ">" + text + "</" + name + ">" + eol;
+	} else if (text.length) {
+		// indenting mixed content would change the text, so we don't
+		var compact = options.clone().merge({'pretty': false});
+		var content = text + children.map(function (key) {
+			return xml.element(key, value[key], compact, 0);
+		}).join("");
+		return indent + "<" + name + attributes + ">" + content + "</" + name + ">" + eol;
+	} else {
+		var content = children.map(function (key) {
+			return xml.element(key, value[key], options, depth + 1);
+		}).join("");
+		return indent + "<" + name + attributes + ">" + eol + content + indent + "</" + name + ">" + eol;
+	}
+}
+
+xml.encode = function (obj, options) {
+	var options = xml.options(options);
+	if (xml.is_scalar(obj)) {
+		var root = {};
+		root[options.text] = obj;
+	} else {
+		var root = obj.clone();
+	}
+	for (var prefix in options.namespaces) {
+		if (!options.namespaces.hasOwnProperty(prefix)) continue;
+		var declaration = prefix ? "xmlns:" + prefix : "xmlns";
+		root[options.attribute_prefix + declaration] = options.namespaces[prefix];
+	}
+	var declaration = options.declaration ? '<?xml version="1.0" encoding="UTF-8"?>' + (options.pretty ? "\n" : "") : "";
+	return (declaration + xml.element(options.root, root, options, 0)).replace(/\n$/, "");
+}
+
+// element and attribute names, with the namespace prefix if they have one
+xml.name = function (node) {
+	var namespace = node.namespace();
+	var prefix = namespace && namespace.prefix ? namespace.prefix + ":" : "";
+	return prefix + node.localName();
+}
+
+xml.object = function (element, options) {
+	var obj = {};
+	var declarations = element.namespaceDeclarations();
+	for (var i = 0; i < declarations.length; i++) {
+		var namespace = declarations[i];
+		obj[options.attribute_prefix + (namespace.prefix ? "xmlns:" + namespace.prefix : "xmlns")] = namespace.uri;
+	}
+	var attributes = element.attributes();
+	for (var i = 0; i < attributes.length(); i++) {
+		obj[options.attribute_prefix + xml.name(attributes[i])] = attributes[i].toString();
+	}
+	var children = element.children();
+	for (var i = 0; i < children.length(); i++) {
+		var child = children[i];
+		var kind = child.nodeKind();
+		if (kind == 'element') {
+			var name = xml.name(child);
+			var value = xml.object(child, options);
+			if (obj.hasOwnProperty(name)) {
+				if (!(obj[name] instanceof Array)) obj[name] = [obj[name]];
+				obj[name].push(value);
+			} else {
+				obj[name] = options.arrays.contains(name) ? [value] : value;
+			}
+		} else if (kind == 'text') {
+			obj[options.text] = (obj.hasOwnProperty(options.text) ? obj[options.text] : "") + child.toString();
+		}
+	}
+
+	// elements that contain nothing but text turn into a string
+	var keys = [];
+	for (var key in obj) {
+		if (obj.hasOwnProperty(key)) keys.push(key);
+	}
+	if (!keys.length) {
+		return "";
+	} else if (keys.length == 1 && keys[0] == options.text) {
+		return obj[keys[0]];
+	} else {
+		return obj;
+	}
+}
+
+xml.decode = function (str, options) {
+	var options = xml.options(options);
+	try {
+		// E4X chokes on XML declarations
+		var root = new XML(str.replace(/^\s*<\?xml[^>]*\?>/, ""));
+	} catch (error) {
+		throw new ParseError("Could not parse XML: {}".format(error.message));
+	}
+	return xml.object(root, options);
+}
+
+// CSV follows RFC 4180: fields that contain the delimiter, quotes or line breaks 
+// are quoted, and quotes inside a quoted field are doubled. We parse line by line, 
+// so that files can be read row by row without loading them into memory.
+
+var csv = {};
+csv.defaults = {
+	'delimiter': ',', 
+	'quote': '"', 
+	'eol': '\r\n', 
+	'header': true, 
+	'columns': null, 
+	'types': false, 
+	'each': null, 
+	'encoding': 'UTF-8'
+};
+
+csv.options = function (options) {
+	return csv.defaults.clone().merge(options || {});
+}
+
+csv.field = function (value, options) {
+	if (value === null || value === undefined) return "";
+	var field = value instanceof Date ? value.to_iso() : String(value);
+	var quote = options.quote;
+	var special = field.indexOf(options.delimiter) > -1 || field.indexOf(quote) > -1 || 
+		/[\r\n]/.test(field) || /^\s|\s$/.test(field);
+	return special ? quote + field.split(quote).join(quote + quote) + quote : field;
+}
+
+csv.encode = function (rows, options) {
+	var options = csv.options(options);
+	var rows = rows instanceof Array ? rows : [rows];
+	var columns = options.columns;
+	// objects are written out in the order of the columns, which 
+	// are all the keys we come across, in order of appearance
+	if (!columns && rows.length && !(rows[0] instanceof Array)) {
+		columns = [];
+		rows.forEach(function (row) {
+			for (var key in row) {
+				if (row.hasOwnProperty(key) && typeof row[key] != 'function' && !columns.contains(key)) columns.push(key);
+			}
+		});
+	}
+	var lines = [];
+	if (columns && options.header) lines.push(columns);
+	rows.forEach(function (row) {
+		lines.push(row instanceof Array ? row : columns.map(function (column) {
+			return row[column];
+		}));
+	});
+	return lines.map(function (fields) {
+		return fields.map(function (field) {
+			return csv.field(field, options);
+		}).join(options.delimiter);
+	}).join(options.eol) + (lines.length ? options.eol : "");
+}
+
+// numbers with leading zeros, like zip codes, stay strings
+csv.infer = function (value) {
+	if (value == "true" || value == "false") return value == "true";
+	if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(value) || /^-?\.\d+$/.test(value)) return Number(value);
+	if (value === "") return null;
+	return value;
+}
+
+// Feed it lines, and it'll call ``emit`` with every row it finds. 
+// A quoted field can span multiple lines.
+csv.parser = function (options, emit) {
+	var quote = options.quote;
+	var delimiter = options.delimiter;
+	var fields = [];
+	var field = "";
+	var quoted = false;
+	var columns = options.columns;
+	var header = options.header;
+	var count = 0;
+
+	function row () {
+		fields.push(field);
+		var values = options.types ? fields.map(csv.infer) : fields;
+		fields = [];
+		field = "";
+		// skip blank lines
+		if (values.length == 1 && (values[0] === "" || values[0] === null)) return;
+		if (header) {
+			// the header row gives us column names, unless we've been given some
+			header = false;
+			if (!columns) columns = values.map(String);
+		} else if (columns) {
+			var obj = {};
+			for (var i = 0; i < columns.length; i++) {
+				obj[columns[i]] = i < values.length ? values[i] : (options.types ? null : "");
+			}
+			emit(obj, count++);
+		} else {
+			emit(values, count++);
+		}
+	}
+
+	return {
+		'feed': function (line) {
+			for (var i = 0; i < line.length; i++) {
+				var character = line.charAt(i);
+				if (quoted) {
+					if (character == quote && line.charAt(i + 1) == quote) {
+						field += quote;
+						i++;
+					} else if (character == quote) {
+						quoted = false;
+					} else {
+						field += character;
+					}
+				} else if (character == quote && !field.length) {
+					quoted = true;
+				} else if (line.substr(i, delimiter.length) == delimiter) {
+					fields.push(field);
+					field = "";
+					i += delimiter.length - 1;
+				} else {
+					field += character;
+				}
+			}
+			if (quoted) {
+				field += "\n";
+			} else {
+				row();
+			}
+		}, 
+		'end': function () {
+			if (quoted) throw new ParseError("CSV ends in the middle of a quoted field");
+			return count;
+		}
+	}
+}
+
+csv.decode = function (str, options) {
+	var options = csv.options(options);
+	var rows = [];
+	var parser = csv.parser(options, options.each || function (row) { rows.push(row); });
+	var lines = String(str).replace(/^\uFEFF/, "").replace(/(\r\n|\r|\n)$/, "").split(/\r\n|\r|\n/);
+	for (var i = 0; i < lines.length; i++) {
+		parser.feed(lines[i]);
+	}
+	var count = parser.end();
+	return options.each ? count : rows;
+}
+
+// reads a file row by row, which keeps memory use down for large files 
+// as long as you pass an ``each`` callback
+csv.read = function (file, options) {
+	var options = csv.options(options);
+	var rows = [];
+	var parser = csv.parser(options, options.each || function (row) { rows.push(row); });
+	file.encoding = options.encoding;
+	if (!file.open("r")) {
+		throw new IOError("Couldn't open {}".format(File.decode(file.absoluteURI)));
+	}
+	try {
+		var first = true;
+		while (!file.eof) {
+			var line = file.readln();
+			if (first) line = line.replace(/^\uFEFF/, "");
+			first = false;
+			parser.feed(line);
+		}
+	} finally {
+		file.close();
+	}
+	var count = parser.end();
+	return options.each ? count : rows;
+}
+
+// Conversions, serializations and deserializations each live in a registry, 
+// keyed by the type they convert from, so that packages can add their own.
+
+Object._type_of = function (obj) {
+	var type = Object.prototype.toString.call(obj).slice(8, -1);
+	// instances of other classes, including our own, go by the name of their constructor
+	if (type == 'Object' && obj.constructor && obj.constructor.name) type = obj.constructor.name;
+	return type;
+}
+
+// the converters that apply to a type: the ones for any object, 
+// and the ones for that type, which take precedence
+Object._converters_for = function (registry, type) {
+	var converters = {};
+	var types = ['Object', type];
+	for (var i = 0; i < types.length; i++) {
+		if (!registry.hasOwnProperty(types[i])) continue;
+		for (var name in registry[types[i]]) {
+			if (registry[types[i]].hasOwnProperty(name)) converters[name] = registry[types[i]][name];
+		}
+	}
+	return converters;
+}
+
+// Everything we can turn an object of a certain type into, and how. 
+// When there's no converter for a type, we see if we can cast it 
+// to a type that does have one, e.g. a number to a string before making 
+// a slug out of it. Casts are the conversions named after a type, like 
+// ``string`` or ``array``. We search breadth-first, so we always 
+// find the shortest chain.
+Object._reachable = function (registry, from) {
+	var casts = Object.prototype.to.registry;
+	var reachable = {};
+	var seen = {};
+	var queue = [{'type': from, 'steps': []}];
+	while (queue.length) {
+		var current = queue.shift();
+		if (seen.hasOwnProperty(current.type)) continue;
+		seen[current.type] = true;
+		var converters = Object._converters_for(registry, current.type);
+		for (var name in converters) {
+			if (converters.hasOwnProperty(name) && !reachable.hasOwnProperty(name)) {
+				reachable[name] = current.steps.concat(converters[name]);
+			}
+		}
+		var available_casts = Object._converters_for(casts, current.type);
+		var types = [registry, casts].map(function (types) {
+			var names = [];
+			for (var type in types) {
+				if (types.hasOwnProperty(type) && type != 'Object') names.push(type);
+			}
+			return names;
+		});
+		types[0].concat(types[1]).forEach(function (type) {
+			var cast = type.toLowerCase();
+			if (!seen.hasOwnProperty(type) && available_casts.hasOwnProperty(cast)) {
+				queue.push({'type': type, 'steps': current.steps.concat(available_casts[cast])});
+			}
+		});
+	}
+	return reachable;
+}
+
+// Every registry, so that a new cast can clear the caches of all of them.
+Object._registries = [];
+
+// Turns a method like ``Object#to`` into a registry of converters. 
+// ``prepare`` gets a chance to copy the object before we convert it.
+Object._registry = function (method, kind, prepare) {
+	method.registry = {};
+	// what's reachable from each source type, see ``Object._reachable``
+	method.cache = {};
+	Object._registries.push(method);
+
+	// any new or removed converter can be a cast, which changes what's 
+	// reachable from other types and in other registries
+	function invalidate () {
+		for (var i = 0; i < Object._registries.length; i++) {
+			Object._registries[i].cache = {};
+		}
+	}
+
+	method.register = function (name, converter, from) {
+		if (typeof converter != 'function') {
+			throw new TypeError("A {} should be a function, not {}".format(kind, typeof converter));
+		}
+		var from = from || 'Object';
+		if (!method.registry.hasOwnProperty(from)) method.registry[from] = {};
+		method.registry[from][name] = converter;
+		invalidate();
+		return method;
+	}
+
+	method.unregister = function (name, from) {
+		var from = from || 'Object';
+		if (method.registry.hasOwnProperty(from)) delete method.registry[from][name];
+		invalidate();
+		return method;
+	}
+
+	method.reachable = function (from) {
+		if (!method.cache.hasOwnProperty(from)) method.cache[from] = Object._reachable(method.registry, from);
+		return method.cache[from];
+	}
+
+	method.find = function (from, name) {
+		// converters registered for the type itself or for any object 
+		// are by far the most common, and don't need a search
+		var types = [from, 'Object'];
+		for (var i = 0; i < types.length; i++) {
+			var converters = method.registry[types[i]];
+			if (method.registry.hasOwnProperty(types[i]) && converters.hasOwnProperty(name)) return [converters[name]];
+		}
+		var reachable = method.reachable(from);
+		return reachable.hasOwnProperty(name) ? reachable[name] : null;
+	}
+
+	method.available = function (from) {
+		var reachable = method.reachable(from || 'Object');
+		var names = [];
+		for (var name in reachable) {
+			if (reachable.hasOwnProperty(name)) names.push(name);
+		}
+		return names.sort();
+	}
+
+	method.convert = function (obj, name, options) {
+		var from = Object._type_of(obj);
+		var steps = method.find(from, name);
+		if (!steps) {
+			throw new RangeError("No {} from {} to {}. Available {}s: {}".format(
+				kind, from, name, kind, method.available(from).join(', ')));
+		}
+		var result = prepare ? prepare(obj) : obj;
+		for (var i = 0; i < steps.length; i++) {
+			result = steps[i](result, options || {});
+		}
+		return result;
+	}
+}
+
 /**
  * @desc Object serialization.
  * 
  * The result of serialization followed by deserialization is the original object, whereas
  * a conversion is not reversible.
  *
- * @param {String} type Either ``base64`` or ``key-value``.
+ * Packages can add their own serializations with 
+ * ``Object.prototype.serialize.register(name, serializer)``, 
+ * see :func:`Object#to` for details.
+ *
+ * XML serialization turns keys into elements, except for keys that start with 
+ * ``@``, which become attributes, and the ``#text`` and ``#cdata`` keys, which 
+ * become the text of the element, respectively a CDATA section. Arrays become 
+ * repeated elements. Use a prefix in the key, like ``dc:title``, for elements 
+ * in a namespace, and declare the namespace with the ``namespaces`` option. 
+ * The other options are ``root``, the name of the root element (defaults to ``root``), 
+ * ``pretty`` (defaults to true), ``indent`` (two spaces) and ``declaration``, 
+ * whether to start with an XML declaration (defaults to true).
+ *
+ * CSV serialization takes an array of objects or an array of arrays. For objects, 
+ * the first row is a header with the column names; set ``header`` to false to leave it out, 
+ * or pass ``columns`` to pick the columns and their order. Fields that contain 
+ * the ``delimiter`` (a comma by default; use ``\t`` or ``;`` for other dialects), 
+ * quotes or line breaks are quoted. Rows end in ``\r\n`` unless you pass another ``eol``.
+ *
+ * INI serialization writes nested objects as ``[section]`` and ``[section.subsection]``, 
+ * arrays as repeated ``key[] = value`` lines and quotes strings where necessary. 
+ * Comments that were read in with the file are written back out.
+ *
+ * @param {String} type Either ``xml``, ``csv``, ``ini``, ``json``, ``base64`` or ``key-value``.
  * @param {Object} [options] Options, if applicable for the serialization type.
  *
  * @example
  *     > var obj = {'key1': 'value1', 'key2': 'value2'};
  *     > obj.serialize('key-value', {'separator': ': ', 'eol': '\n'});
  *     "key1: value1\nkey2: value2\n"
+ *
+ * @example
+ *     > var article = {'@id': 42, 'dc:title': 'Fish & chips', 'tag': ['food', 'uk']};
+ *     > article.serialize('xml', {'root': 'article', 'declaration': false, 
+ *     ... 'namespaces': {'dc': 'http://purl.org/dc/elements/1.1/'}});
+ *     <article id="42" xmlns:dc="http://purl.org/dc/elements/1.1/">
+ *       <dc:title>Fish &amp; chips</dc:title>
+ *       <tag>food</tag>
+ *       <tag>uk</tag>
+ *     </article>
  */
 
 Object.prototype.serialize = function (type, options) {
-	var obj = this;
-	var options = options || {};
-	// type: json, keyvalue
-	var serializations = {
-		'xml': function () { throw new NotImplementedError(); },
-		'json': function () { return JSON.stringify(obj); },
-		'base64': function () { return base64.encode64(obj); },
-		'key-value': function () { return keyvalue.encode(obj, options); }
-	};
-
-	if (serializations.hasOwnProperty(type)) {
-		return serializations[type]();
-	} else {
-		throw RangeError("This method cannot convert from {} to {}".format(obj.prototype.name, type));
-	}
+	return Object.prototype.serialize.convert(this, type, options);
 }
 
+Object._registry(Object.prototype.serialize, 'serialization');
+Object.prototype.serialize.register('xml', function (obj, options) { return xml.encode(obj, options); });
+Object.prototype.serialize.register('json', function (obj) { return JSON.stringify(obj); });
+Object.prototype.serialize.register('base64', function (obj) { return base64.encode64(obj); });
+Object.prototype.serialize.register('key-value', function (obj, options) { return keyvalue.encode(obj, options); });
+Object.prototype.serialize.register('csv', function (rows, options) { return csv.encode(rows, options); });
+Object.prototype.serialize.register('ini', function (obj, options) { return ini.encode(obj, options); });
+
 /**
  * @desc Object deserialization.
  *
- * @param {String} type Either ``xml``, ``base64`` or ``key-value``.
+ * Packages can add their own deserializations with 
+ * ``Object.prototype.deserialize.register(name, deserializer, 'String')``, 
+ * see :func:`Object#to` for details.
+ *
+ * XML deserialization is the reverse of XML serialization, see :func:`Object#serialize`. 
+ * Elements that only contain text become strings, and elements that occur 
+ * more than once become arrays. Pass the names of elements that should always be 
+ * arrays, even if they occur only once, in the ``arrays`` option. 
+ * The text of elements that also have attributes or child elements ends up in ``#text``. 
+ * CDATA sections can't be told apart from text, so they come back as text too. 
+ * Throws a ``ParseError`` for invalid XML.
+ *
+ * CSV deserialization returns an array of objects, using the first row as column names. 
+ * Set ``header`` to false to get arrays instead, or pass ``columns`` to name the columns 
+ * yourself. Set ``types`` to true to turn numbers and booleans into numbers and booleans 
+ * and empty fields into ``null``; numbers with leading zeros, like zip codes, 
+ * are left alone. The ``delimiter`` and ``quote`` options work as they do for serialization.
+ *
+ * You can deserialize a ``File`` as well as a string. Pass an ``each`` callback, 
+ * which receives every row and its index, and the file is read row by row rather 
+ * than all at once, which matters for large files. With an ``each`` callback, 
+ * deserialization returns the number of rows instead of the rows.
+ *
+ * INI deserialization turns sections into nested objects, with dotted section names 
+ * like ``[printer.paper]`` nesting deeper. Values can be quoted, with backslash escapes, 
+ * and unquoted values can end in a comment. Numbers and booleans become numbers and booleans, 
+ * unless you set ``types`` to false. Comments on a line of their own are kept in the ``_comments`` 
+ * property of the section they're in, keyed by the key or section that follows them, 
+ * so that they survive a round-trip. Throws a ``ParseError`` for lines it doesn't understand.
+ *
+ * Key-value deserialization only splits on the first separator, so values may contain it. 
+ * Set ``trim`` to true to strip whitespace around keys and values.
+ *
+ * @param {String} type Either ``xml``, ``csv``, ``ini``, ``json``, ``base64`` or ``key-value``.
  * @param {Object} [options] Options, if applicable for the deserialization type.
+ *
+ * @example
+ *     > "name,votes\nAnn,1200\nBob,800".deserialize('csv', {'types': true});
+ *     [{'name': 'Ann', 'votes': 1200}, {'name': 'Bob', 'votes': 800}]
+ *
+ * @example
+ *     > var total = 0;
+ *     > new File("results.tsv").deserialize('csv', {'delimiter': '\t', 'types': true, 
+ *     ... 'each': function (row) { total += row.votes; }});
  */
 
 Object.prototype.deserialize = function (type, options) {
-	var obj = this;
-	
-	var deserializations = {
-		'xml': function () { return new XML(obj); },
-		'json': function () { return JSON.parse(obj); },
-		'base64': function () { return base64.decode64(obj); },
-		'key-value': function () { return keyvalue.decode(obj, options); }
-	}
-
-	if (deserializations.hasOwnProperty(type)) {
-		return deserializations[type]();
-	} else {
-		throw RangeError("This method cannot convert from {} to {}".format(obj.prototype.name, type));
-	}
+	return Object.prototype.deserialize.convert(this, type, options);
 }
 
+Object._registry(Object.prototype.deserialize, 'deserialization');
+Object.prototype.deserialize.register('xml', function (str, options) { return xml.decode(str, options); }, 'String');
+Object.prototype.deserialize.register('json', function (str) { return JSON.parse(str); }, 'String');
+Object.prototype.deserialize.register('base64', function (str) { return base64.decode64(str); }, 'String');
+Object.prototype.deserialize.register('key-value', function (str, options) { return keyvalue.decode(str, options); }, 'String');
+Object.prototype.deserialize.register('csv', function (str, options) { return csv.decode(str, options); }, 'String');
+Object.prototype.deserialize.register('csv', function (file, options) { return csv.read(file, options); }, 'File');
+Object.prototype.deserialize.register('ini', function (str, options) { return ini.decode(str, options); }, 'String');
+
 /**
  * @desc Provides easy shortcuts to a number of common conversions, like lowercasing a string or 
  * converting the ``arguments`` object to an array.
@@ -96,13 +790,45 @@ Object.prototype.deserialize = function (type, options) {
  * All of these conversions return a new object, they do not modify the original.
  * 
  * A ``slug`` is a string that's usable as a filename or in an URL: it's
- * a lowercased string with all non-alphanumeric characters stripped out, and spaces replaced by
- * hyphens.
+ * a lowercased string with accented letters replaced by their ASCII equivalent, 
+ * all other non-alphanumeric characters stripped out, and spaces replaced by hyphens. 
+ * Letters that have no ASCII equivalent, like Japanese or Hebrew, are kept, 
+ * so text in those scripts doesn't turn into an empty slug.
+ *
+ * ``alphanumeric`` strips out everything except letters, digits and spaces, but 
+ * keeps accented letters and letters in other scripts; ``ascii`` replaces them 
+ * with their closest ASCII equivalent, see :func:`String#transliterate`.
+ *
+ * ``snake``, ``camel`` and ``title`` convert between ``snake_case``, ``camelCase`` 
+ * and ``Title Case``. ``truncated`` (options ``length`` and ``ellipsis``), ``padded`` 
+ * (options ``width``, ``fill`` and ``align``), ``wrapped`` (options ``width`` and ``eol``) 
+ * and ``dedented`` are shortcuts to :func:`String#truncate`, :func:`String#pad`, 
+ * :func:`String#word_wrap` and :func:`String#dedent`.
  *
  * Use this method instead of functions like ``parseInt`` and methods like ``str.toLowerCase()``.
  *
+ * Conversions are looked up by the type of the object you're converting. 
+ * When there's no conversion for that type, the object is first cast to a type 
+ * that does have one, so ``(42).to('slug')`` turns the number into a string first. 
+ * Asking for a conversion that doesn't exist gives you a ``RangeError`` 
+ * that lists the conversions that do.
+ *
+ * Packages can add their own conversions with ``Object.prototype.to.register(name, converter, from)``. 
+ * A converter receives a copy of the object and the options, and returns the result. 
+ * ``from`` is the type it converts from, as in ``String``, ``Number``, ``Array`` or ``Date``, 
+ * and defaults to ``Object``, which makes the conversion available for every object. 
+ * Register a conversion named after a type, like ``date`` for ``Date``, 
+ * and other conversions can chain through it.
+ *
+ * ``localized``, ``percent``, ``currency`` and ``ordinal`` format numbers according to 
+ * the conventions of the current locale (``$.locale``). They take the same options as 
+ * :func:`Number.localized` and friends, including a ``locale`` option to use another locale.
+ *
  * @param {String} type
- *     One of ``boolean``, ``number``, ``int``, ``float``, ``string``, ``array``, ``alphanumeric``, ``slug``, ``lower`` and ``upper``.
+ *     One of ``boolean``, ``number``, ``int``, ``float``, ``string``, ``array``, ``alphanumeric``, ``ascii``, ``slug``, 
+ *     ``lower``, ``upper``, ``snake``, ``camel``, ``title``, ``truncated``, ``padded``, ``wrapped``, ``dedented``, 
+ *     ``localized``, ``percent``, ``currency`` and ``ordinal``.
+ * @param {Object} [options] Options, if applicable for the conversion.
  *
  * @example
  *     > var list = [1.4, 2.2, 4.3];
@@ -111,31 +837,57 @@ Object.prototype.deserialize = function (type, options) {
  *     ... }
  *     > to_integers(list);
  *     [1,2,3]
+ *
+ * @example
+ *     > (1234.5).to('currency', {'locale': 'fr_FR'});
+ *     "1 234,50 €"
+ *
+ * @example
+ *     > Object.prototype.to.register('iso-date', function (date) {
+ *     ... return date.strftime('%Y-%m-%d');
+ *     ... }, 'Date');
+ *     > new Date(2011, 3, 1).to('iso-date');
+ *     "2011-04-01"
  */
 
-Object.prototype.to = function (type) {
-	// never, ever modify the original object
-	var result = this.clone();
-	
-	var conversions = {
-		/* types */
-		// REFACTOR: 'int' should be 'number', to correspond to the class name!
-		'boolean': function () { return !!result; },
-		'number': function () { return new Number(result); },
-		'int': function () { return parseInt(result); },
-		'float': function () { return parseFloat(result); },
-		'string': function () { return result.toString() },
-		'array': function () { return Array.prototype.slice.call(result); },
-		/* other conversions */
-		'alphanumeric': function () { return result.replace(/[^a-zA-Z0-9 ]/g, ""); },
-		'slug': function () { return result.replace(/[^a-zA-Z0-9 ]/g, "").toLowerCase().replace(" ", "-"); },
-		'lower': function () { return result.toLowerCase(); },
-		'upper': function () { return result.toUpperCase(); }
-	};
-
-	if (conversions.hasOwnProperty(type)) {
-		return conversions[type]();
-	} else {
-		throw RangeError("This method cannot convert from {} to {}".format(this.prototype.name, type));
-	}
-}
\ No newline at end of file
+Object.prototype.to = function (type, options) {
+	return Object.prototype.to.convert(this, type, options);
+}
+
+// never, ever modify the original object
+Object._registry(Object.prototype.to, 'conversion', function (obj) { return obj.clone(); });
+
+/* types */
+// REFACTOR: 'int' should be 'number', to correspond to the class name!
+Object.prototype.to.register('boolean', function (obj) { return !!obj; });
+Object.prototype.to.register('number', function (obj) { return new Number(obj); });
+Object.prototype.to.register('int', function (obj) { return parseInt(obj); });
+Object.prototype.to.register('float', function (obj) { return parseFloat(obj); });
+Object.prototype.to.register('string', function (obj) { return obj.toString(); });
+Object.prototype.to.register('array', function (obj) { return Array.prototype.slice.call(obj); });
+/* other conversions */
+Object.prototype.to.register('alphanumeric', function (str) {
+	return str.replace(/[\s\S]/g, function (character) {
+		return character == " " || String._is_word_character(character) ? character : "";
+	});
+}, 'String');
+Object.prototype.to.register('ascii', function (str) { return str.transliterate(); }, 'String');
+Object.prototype.to.register('slug', function (str) {
+	return str.transliterate().toLowerCase().replace(/[^a-z0-9\s-]/g, function (character) {
+		return String._is_word_character(character) ? character : "";
+	}).replace(/[\s-]+/g, "-").replace(/^-|-$/g, "");
+}, 'String');
+Object.prototype.to.register('lower', function (str) { return str.toLowerCase(); }, 'String');
+Object.prototype.to.register('upper', function (str) { return str.toUpperCase(); }, 'String');
+Object.prototype.to.register('snake', function (str) { return str.snake_case(); }, 'String');
+Object.prototype.to.register('camel', function (str) { return str.camel_case(); }, 'String');
+Object.prototype.to.register('title', function (str) { return str.title_case(); }, 'String');
+Object.prototype.to.register('truncated', function (str, options) { return str.truncate(options.length, options.ellipsis); }, 'String');
+Object.prototype.to.register('padded', function (str, options) { return str.pad(options.width, options.fill, options.align); }, 'String');
+Object.prototype.to.register('wrapped', function (str, options) { return str.word_wrap(options.width, options.eol); }, 'String');
+Object.prototype.to.register('dedented', function (str) { return str.dedent(); }, 'String');
+/* locale-aware formatting */
+Object.prototype.to.register('localized', function (number, options) { return Number.localized(number, options); }, 'Number');
+Object.prototype.to.register('percent', function (number, options) { return Number.percent(number, options); }, 'Number');
+Object.prototype.to.register('currency', function (number, options) { return Number.currency(number, options); }, 'Number');
+Object.prototype.to.register('ordinal', function (number, options) { return Number.ordinal(number, options); }, 'Number');
\ No newline at end of file
@@ -30,17 +30,218 @@ Object.prototype.merge = function (obj) {
 Object.prototype.extend = Object.prototype.merge
 
 /**
- * @desc Creates and returns a clone of the object.
+ * @desc Creates and returns a clone of the object. The clone is shallow: 
+ * properties that contain objects refer to the very same objects as the original.
+ * Use :func:`Object#deep_clone` if that's not what you want.
  */
 
 Object.prototype.clone = function () {
 	// speeds things up if we're cloning an array
 	if (this instanceof Array) return this.slice(0);
 	if (this instanceof String) return this.substring(0);
-	// the normal route for any other object
-	// though it might not work on some built-in
-	// application-specific objects
-	return new this.constructor().merge(this);
+	if (this instanceof Number || this instanceof Boolean) return this.valueOf();
+	if (this instanceof Date) return new Date(this.getTime());
+	if (this instanceof RegExp) return new RegExp(this.source, Object._regexp_flags(this));
+	// Calling the constructor of application-specific objects 
+	// often fails, so we don't: the clone shares its prototype 
+	// with the original instead.
+	return Object._create(this).merge(this);
+}
+
+Object._create = function (obj) {
+	if (obj.constructor === Object) return {};
+	var Clone = function () {};
+	Clone.prototype = obj.constructor.prototype;
+	return new Clone();
+}
+
+Object._regexp_flags = function (regexp) {
+	return (regexp.global ? 'g' : '') + (regexp.ignoreCase ? 'i' : '') + (regexp.multiline ? 'm' : '');
+}
+
+Object._is_plain_object = function (value) {
+	return value !== null && typeof value == 'object' && value.constructor === Object;
+}
+
+// originals and copies keep track of what we've already cloned, 
+// so we can reproduce cycles instead of getting stuck in them
+Object._deep_clone = function (value, originals, copies) {
+	if (value === null || typeof value != 'object') return value;
+	var i = originals.indexOf(value);
+	if (i != -1) return copies[i];
+
+	if (value instanceof Date) return new Date(value.getTime());
+	if (value instanceof RegExp) return new RegExp(value.source, Object._regexp_flags(value));
+	if (value instanceof Array) {
+		var copy = [];
+	} else if (Object._is_plain_object(value)) {
+		var copy = {};
+	} else {
+		// files, DOM objects and the like
+		return value;
+	}
+	originals.push(value);
+	copies.push(copy);
+	for (var key in value) {
+		if (value.hasOwnProperty(key)) copy[key] = Object._deep_clone(value[key], originals, copies);
+	}
+	return copy;
+}
+
+/**
+ * @desc Creates and returns a deep clone of the object: arrays, plain objects, dates 
+ * and regular expressions inside of it get cloned too, all the way down. 
+ * Objects that refer to themselves, directly or indirectly, are no problem.
+ * Other objects, like files or DOM objects, are not cloned: the clone refers to the 
+ * same ones as the original.
+ *
+ * @example
+ *     > var original = {'tags': ['a', 'b']};
+ *     > var copy = original.deep_clone();
+ *     > copy.tags.push('c');
+ *     > original.tags;
+ *     ['a', 'b']
+ */
+
+Object.prototype.deep_clone = function () {
+	return Object._deep_clone(this.valueOf(), [], []);
+}
+
+Object._deep_merge = function (target, source, strategy, ancestors) {
+	// only stop at cycles: the same object can turn up in several places
+	if (ancestors.contains(source)) return target;
+	ancestors.push(source);
+	for (var key in source) {
+		if (!source.hasOwnProperty(key)) continue;
+		var from = source[key];
+		var to = target[key];
+		if (Object._is_plain_object(from) && Object._is_plain_object(to)) {
+			Object._deep_merge(to, from, strategy, ancestors);
+		} else if (from instanceof Array && to instanceof Array && strategy != 'replace') {
+			from = Object._deep_clone(from, [], []);
+			if (strategy == 'concat') {
+				target[key] = to.concat(from);
+			} else {
+				target[key] = to.concat(from.filter(function (item) {
+					return !to.contains(item);
+				}));
+			}
+		} else {
+			target[key] = Object._deep_clone(from, [], []);
+		}
+	}
+	ancestors.pop();
+	return target;
+}
+
+/**
+ * @desc Merges another object into this one, including any objects nested 
+ * inside of it. Like :func:`Object#merge`, this modifies the original object. 
+ * Values get deep-cloned on the way in, so changing the merged object 
+ * afterwards won't affect the object you merged in.
+ *
+ * @param {Object} obj The object to merge into this one.
+ * @param {Object} [options]
+ * @param {String} [options.arrays="replace"] What to do when both objects have 
+ *     an array under the same key: ``replace`` the array, ``concat`` both 
+ *     arrays, or ``union``, which only adds items that aren't in the array yet.
+ * @returns {Object} Returns the merged object (``this``);
+ *
+ * @example
+ *     > var defaults = {'log': {'level': 4, 'folder': 'log'}, 'hosts': ['indesign']};
+ *     > defaults.deep_merge({'log': {'level': 5}, 'hosts': ['photoshop']}, {'arrays': 'union'});
+ *     {'log': {'level': 5, 'folder': 'log'}, 'hosts': ['indesign', 'photoshop']}
+ */
+
+Object.prototype.deep_merge = function (obj, options) {
+	var strategy = (options || {}).arrays || 'replace';
+	if (!['replace', 'concat', 'union'].contains(strategy)) {
+		throw new RangeError("Unknown array strategy {}".format(strategy));
+	}
+	if (!obj) return this;
+	return Object._deep_merge(this, obj, strategy, []);
+}
+
+Object._describe = function (value) {
+	if (value instanceof Array) return "[" + value.length + " items]";
+	if (typeof value == 'string') return '"' + value + '"';
+	return String(value);
+}
+
+// Collects the differences between two values into ``differences``. 
+// ``seen`` holds pairs of objects we're already comparing, so cycles don't trip us up.
+Object._diff = function (a, b, path, differences, seen) {
+	function differ () {
+		differences.push({
+			'path': path, 
+			'left': a, 
+			'right': b, 
+			'message': "{}: {} != {}".format(path || "(root)", Object._describe(a), Object._describe(b))
+		});
+	}
+
+	if (a === b) return;
+	if (typeof a == 'number' && typeof b == 'number' && isNaN(a) && isNaN(b)) return;
+	if (a === null || b === null || typeof a != 'object' || typeof b != 'object') return differ();
+	if (a.constructor !== b.constructor) return differ();
+	if (a instanceof Date) {
+		if (a.getTime() != b.getTime()) differ();
+		return;
+	}
+	if (a instanceof RegExp) {
+		if (a.toString() != b.toString()) differ();
+		return;
+	}
+	if (!(a instanceof Array) && !Object._is_plain_object(a)) return differ();
+
+	for (var i = 0; i < seen.length; i++) {
+		if (seen[i][0] === a && seen[i][1] === b) return;
+	}
+	seen.push([a, b]);
+
+	if (a instanceof Array) {
+		for (var i = 0; i < Math.max(a.length, b.length); i++) {
+			Object._diff(a[i], b[i], path + "[" + i + "]", differences, seen);
+		}
+	} else {
+		var keys = a.keys().concat(b.keys().filter(function (key) {
+			return !a.hasOwnProperty(key);
+		}));
+		keys.forEach(function (key) {
+			Object._diff(a[key], b[key], path ? path + "." + key : key, differences, seen);
+		});
+	}
+}
+
+/**
+ * @desc Lists the differences between this object and another one, 
+ * comparing arrays and plain objects property by property, all the way down.
+ * Functions are ignored, just like in :func:`Object#keys`.
+ * @param other
+ * @returns {Object[]} For each difference, an object with the ``path`` to the 
+ *     property (e.g. ``authors[0].name``), the ``left`` value (from this object), 
+ *     the ``right`` value (from the other one) and a human-readable ``message``.
+ *
+ * @example
+ *     > {'a': {'b': 1}, 'c': [1, 2]}.diff({'a': {'b': 2}, 'c': [1, 2]});
+ *     [{'path': 'a.b', 'left': 1, 'right': 2, 'message': 'a.b: 1 != 2'}]
+ */
+
+Object.prototype.diff = function (other) {
+	var differences = [];
+	Object._diff(this.valueOf(), other, "", differences, []);
+	return differences;
+}
+
+/**
+ * @desc Tests whether this object and another one are equal all the way down. 
+ * See :func:`Object#diff` to find out what's different.
+ * @param other
+ * @returns {Bool} True or false.
+ */
+
+Object.prototype.deep_equals = function (other) {
+	return this.diff(other).length == 0;
 }
 
 /**
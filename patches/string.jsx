@@ -1,12 +1,21 @@
 ﻿/**
- * @desc This is a simple string formatting method, loosely inspired on the one in Python 3.
+ * @desc This is a string formatting method, modelled after the one in Python 3.
  * 
- * * In unnamed mode, specify placeholders with the **{}** symbol.
+ * * In unnamed mode, specify placeholders with the **{}** symbol, 
+ *   or refer to a replacement by its position, like **{0}**.
  * * In named mode, specify placeholders with **{propname}**.
+ * * Dotted paths like **{person.name}** or **{0.name}** get at properties of a replacement.
+ * * Placeholders can take a format spec after a colon, like **{:>10}** or **{price:,.2f}**. 
+ *   See :func:`String.format_value` for the details.
+ * * To get a literal brace, double it: **{{** and **}}**.
+ *
+ * Placeholders for names that aren't in the replacement object are left alone, 
+ * and so are positional placeholders and placeholders with an invalid format spec 
+ * in named mode.
  *
  * @param {String} replacements
  *     For each **{}** symbol in the text, ``format`` expects a replacement argument.
- *     Calls `.toString()` on each replacement, so you can pass in any data type.
+ *     Converts each replacement to a string, so you can pass in any data type.
  *     You may also specify a single replacement object, which will do named formatting.
  *
  * @example
@@ -20,30 +29,205 @@
  *     > var hello = "Hello there, {salutation}, I've heard your name is {name}!".format(person);
  *     > $.writeln(hello);
  *     "Hello there, mister, I've heard your name is John Smith"
+ *
+ * @example
+ *     > "{0.name} owes us {1:,.2f} dollars ({2:.0%} of {3:,})".format(person, 1234.5, 0.25, 4938);
+ *     "John Smith owes us 1,234.50 dollars (25% of 4,938)"
  */
 
 String.prototype.format = function() {
-	var str = this;
 	var replacements = arguments.to('array');
-	var named = replacements.length == 1 && replacements[0].reflect.name == 'Object';
-	
-	if (named) {
-		var dict = replacements[0];
-        dict.keys().forEach(function (key) {
-			// replace globally (flagged g)
-			str = str.replace("{" + key + "}", dict[key], "g");
-		});
-		return str;
+	var first = replacements[0];
+	var named = replacements.length == 1 && first !== null && first !== undefined && first.reflect.name == 'Object';
+	var position = 0;
+
+	return this.replace(/\{\{|\}\}|\{([\w.]*)(?::([^{}]*))?\}/g, function (placeholder, field, spec) {
+		if (placeholder == '{{') return '{';
+		if (placeholder == '}}') return '}';
+
+		var path = field.length ? field.split('.') : [];
+		var key = path.shift();
+		var positional = key === undefined || /^\d+$/.test(key);
+		// in named mode, there's nothing to fill in positional placeholders with
+		if (named && positional) {
+			return placeholder;
+		} else if (key === undefined) {
+			var value = replacements[position++];
+		} else if (positional) {
+			var value = replacements[parseInt(key, 10)];
+		} else if (named && first.hasOwnProperty(key)) {
+			var value = first[key];
+		} else {
+			return placeholder;
+		}
+		for (var i = 0; i < path.length; i++) {
+			if (value === null || value === undefined) return placeholder;
+			value = value[path[i]];
+		}
+		if (!named) return String.format_value(value, spec || '');
+		// named formatting also runs over rendered templates, which can 
+		// contain braces of their own, so we leave what we can't parse alone
+		try {
+			return String.format_value(value, spec || '');
+		} catch (error) {
+			if (error instanceof ParseError) return placeholder;
+			throw error;
+		}
+	});
+}
+
+// like Python, use at least two digits for exponents: 1e+06 instead of 1e+6
+String._two_digit_exponent = function (str) {
+	return str.replace(/e([+-])(\d)$/, function (match, sign, digit) {
+		return "e" + sign + "0" + digit;
+	});
+}
+
+/**
+ * @desc Formats a single value according to a format spec, which works just like 
+ * the format spec mini-language in Python: ``[[fill]align][sign][#][0][width][,][.precision][type]``
+ *
+ * * **align** is one of ``<`` (left, the default for strings), ``>`` (right, the default for numbers), 
+ *   ``^`` (centered) or ``=`` (padding goes between the sign and the digits), and **fill** is any character
+ * * **sign** is ``+`` (always show the sign), ``-`` (only for negative numbers, the default) 
+ *   or a space (a space for positive numbers)
+ * * ``#`` prefixes binary, octal and hexadecimal numbers with ``0b``, ``0o`` and ``0x``
+ * * ``0`` pads numbers with zeroes
+ * * **width** is the minimum width
+ * * ``,`` or ``_`` is the thousands separator
+ * * **precision** is the number of decimals for ``f``, ``e`` and ``%``, the number of 
+ *   significant digits for ``g`` and the maximum width for strings
+ * * **type** is ``s`` (a string), ``d`` (an integer), ``f``, ``e``, ``g``, ``%`` (a percentage), 
+ *   ``b``, ``o``, ``x``, ``X`` (binary, octal and hexadecimal), ``c`` (a character code) 
+ *   or ``n``, a number with the decimal mark and thousands separator of the current locale 
+ *   (see :func:`Number.localized`), where **precision** is the number of decimals
+ *
+ * ``undefined`` becomes an empty string. Like in Python, the integer types 
+ * (``d``, ``b``, ``o``, ``x``, ``X`` and ``c``) raise a ``TypeError`` rather than 
+ * round numbers with decimals.
+ *
+ * @param value
+ * @param {String} spec
+ * @returns {String}
+ *
+ * @example
+ *     > String.format_value(3.14159, '*^9.2f');
+ *     "**3.14***"
+ */
+
+String.format_value = function (value, spec) {
+	var parts = spec.match(/^(?:([\s\S])?([<>=^]))?([+\- ])?(#)?(0)?(\d+)?([,_])?(?:\.(\d+))?([bcdeEfFgGnosxX%])?$/);
+	if (!parts) throw new ParseError("Invalid format spec: " + spec);
+	var align = parts[2] || '';
+	var fill = align ? parts[1] || ' ' : ' ';
+	var sign = parts[3] || '-';
+	var alternate = !!parts[4];
+	var width = parts[6] ? parseInt(parts[6], 10) : 0;
+	var grouping = parts[7] || '';
+	var precision = parts[8] ? parseInt(parts[8], 10) : null;
+	var type = parts[9] || '';
+
+	if (value === undefined) value = '';
+	var numeric = type ? type != 's' : typeof value == 'number' || value instanceof Number;
+
+	if (!numeric) {
+		var str = String(value);
+		if (precision !== null) str = str.substr(0, precision);
+		var prefix = '';
+		if (!align) align = '<';
 	} else {
-		// split the string into parts around the substring replacement symbols ({}).
-		var chunks = str.split("{}");
-		// fill in the replacements
-		for (var i in chunks) {
-			var replacement = replacements.shift();
-			if (replacement) chunks[i] += replacement.toString();
+		var number = Number(value);
+		if (isNaN(number) && !(typeof value == 'number' || value instanceof Number)) {
+			throw new TypeError("Can't format " + value + " as a number");
+		}
+		var negative = number < 0 || (number === 0 && 1 / number < 0);
+		number = Math.abs(number);
+		var prefix = negative ? '-' : (sign == '+' ? '+' : (sign == ' ' ? ' ' : ''));
+		// like Python, we don't round numbers for the integer types
+		if (type.length && 'dbxXoc'.indexOf(type) > -1 && number % 1) {
+			throw new TypeError("Can't format " + value + " as an integer");
+		}
+
+		switch (type) {
+			case 'd':
+				var str = number.toString();
+				break;
+			case 'f':
+			case 'F':
+				var str = number.toFixed(precision === null ? 6 : precision);
+				break;
+			case 'e':
+			case 'E':
+				var str = String._two_digit_exponent(number.toExponential(precision === null ? 6 : precision));
+				break;
+			case '%':
+				var str = (number * 100).toFixed(precision === null ? 6 : precision);
+				break;
+			case 'g':
+			case 'G':
+				var str = number.toPrecision(precision || 6);
+				if (!alternate) str = str.replace(/(\.\d*?)0+(e|$)/, "$1$2").replace(/\.(e|$)/, "$1");
+				str = String._two_digit_exponent(str);
+				break;
+			case 'b':
+			case 'o':
+			case 'x':
+			case 'X':
+				var radix = {'b': 2, 'o': 8, 'x': 16, 'X': 16}[type];
+				var str = number.toString(radix);
+				if (alternate) prefix += '0' + type;
+				break;
+			case 'n':
+				var str = Number.localized(number, {'decimals': precision});
+				break;
+			case 'c':
+				var str = String.fromCharCode(number);
+				prefix = '';
+				break;
+			default:
+				var str = precision === null ? number.toString() : number.toPrecision(precision);
+		}
+		if (type == 'E' || type == 'G' || type == 'X' || type == 'F') str = str.toUpperCase();
+
+		if (type == '%') str += '%';
+		var zero_fill = parts[5] && !parts[2];
+		if (grouping && type != 'c' && type != 'n') {
+			var digits = str.match(/^(\d+)([\s\S]*)$/);
+			if (digits) {
+				var integer = digits[1];
+				// zeroes get grouped along with the other digits, 
+				// so we pad before grouping: 0,001,234.5 and not 0001,234.5
+				while (zero_fill && prefix.length + integer.length + Math.floor((integer.length - 1) / 3) + digits[2].length < width) {
+					integer = '0' + integer;
+				}
+				var grouped = [];
+				while (integer.length > 3) {
+					grouped.unshift(integer.slice(-3));
+					integer = integer.slice(0, -3);
+				}
+				grouped.unshift(integer);
+				str = grouped.join(grouping) + digits[2];
+			}
+		}
+		if (zero_fill) {
+			fill = '0';
+			align = '=';
 		}
-		// join everything together
-		return chunks.join('');		
+		if (!align) align = '>';
+	}
+
+	var padding = width - prefix.length - str.length;
+	if (padding <= 0) return prefix + str;
+	switch (align) {
+		case '<':
+			return prefix + str + new Array(padding + 1).join(fill);
+		case '^':
+			var left = Math.floor(padding / 2);
+			return new Array(left + 1).join(fill) + prefix + str + new Array(padding - left + 1).join(fill);
+		case '=':
+			return prefix + new Array(padding + 1).join(fill) + str;
+		default:
+			return new Array(padding + 1).join(fill) + prefix + str;
 	}
 }
 
@@ -64,7 +248,7 @@ String.prototype.startswith = function (substring) {
  */
 
 String.prototype.endswith = function (substring) {
-	return new Boolean(this.length && this.indexOf(substring) == (this.length - substring.length)).valueOf();
+	return new Boolean(this.length && this.length >= substring.length && this.lastIndexOf(substring) == (this.length - substring.length)).valueOf();
 }
 
 /**
@@ -152,4 +336,284 @@ String.prototype.trim = function(character) {
 	} else {
 		return this.replace(/^\s+|\s+$/g, "");
 	}
+}
+
+// ASCII approximations for accented and other non-ASCII Latin letters
+String._transliterations = {
+	'A': 'ÀÁÂÃÄÅĀĂĄ', 'a': 'àáâãäåāăą', 'AE': 'Æ', 'ae': 'æ', 
+	'C': 'ÇĆĈĊČ', 'c': 'çćĉċč', 'D': 'ĎĐÐ', 'd': 'ďđð', 
+	'E': 'ÈÉÊËĒĔĖĘĚ', 'e': 'èéêëēĕėęě', 'G': 'ĜĞĠĢ', 'g': 'ĝğġģ', 
+	'H': 'ĤĦ', 'h': 'ĥħ', 'I': 'ÌÍÎÏĨĪĬĮİ', 'i': 'ìíîïĩīĭįı', 
+	'J': 'Ĵ', 'j': 'ĵ', 'K': 'Ķ', 'k': 'ķ', 'L': 'ĹĻĽĿŁ', 'l': 'ĺļľŀł', 
+	'N': 'ÑŃŅŇ', 'n': 'ñńņň', 'O': 'ÒÓÔÕÖØŌŎŐ', 'o': 'òóôõöøōŏő', 
+	'OE': 'Œ', 'oe': 'œ', 'R': 'ŔŖŘ', 'r': 'ŕŗř', 'S': 'ŚŜŞŠȘ', 's': 'śŝşšș', 
+	'ss': 'ß', 'T': 'ŢŤŦȚ', 't': 'ţťŧț', 'TH': 'Þ', 'th': 'þ', 
+	'U': 'ÙÚÛÜŨŪŬŮŰŲ', 'u': 'ùúûüũūŭůűų', 'W': 'Ŵ', 'w': 'ŵ', 
+	'Y': 'ÝŸŶ', 'y': 'ýÿŷ', 'Z': 'ŹŻŽ', 'z': 'źżž', 
+	"'": '‘’‚′', '"': '“”„″', '-': '‐‑‒–—―', '...': '…', ' ': '\u00A0\u2009\u202F'
+};
+// the same table, the other way around
+String._ascii = (function () {
+	var ascii = {};
+	for (var replacement in String._transliterations) {
+		if (!String._transliterations.hasOwnProperty(replacement)) continue;
+		for (var i = 0; i < String._transliterations[replacement].length; i++) {
+			ascii[String._transliterations[replacement].charAt(i)] = replacement;
+		}
+	}
+	return ascii;
+})();
+
+// Letters and digits. Letters in scripts without case (CJK, Hebrew, Arabic...) 
+// can't be recognized by comparing their upper- and lowercase forms.
+String._is_word_character = function (character) {
+	return character.toLowerCase() != character.toUpperCase() 
+		|| String._ascii.hasOwnProperty(character) && /\w/.test(String._ascii[character]) 
+		|| /[0-9\u05D0-\u05EA\u0620-\u064A\u0E01-\u0E30\u3041-\u30FF\u3400-\u9FFF\uAC00-\uD7AF]/.test(character);
+}
+
+String._is_upper = function (character) {
+	return character != character.toLowerCase();
+}
+
+// Splits a string into words at spaces, punctuation and changes in case, 
+// so "XMLHttpRequest", "xml_http_request" and "XML http request" 
+// all become ["XML", "Http", "Request"] (or the lowercase equivalent).
+String._words = function (str) {
+	var words = [];
+	var word = '';
+	for (var i = 0; i < str.length; i++) {
+		var character = str.charAt(i);
+		if (!String._is_word_character(character)) {
+			if (word) words.push(word);
+			word = '';
+			continue;
+		}
+		var previous = str.charAt(i - 1);
+		var next = str.charAt(i + 1);
+		var boundary = word && String._is_upper(character) && (
+			// camelCase
+			!String._is_upper(previous) && String._is_word_character(previous) || 
+			// the last capital of an acronym, as in XMLHttp
+			String._is_upper(previous) && next && String._is_word_character(next) && !String._is_upper(next) && !/\d/.test(next)
+			);
+		if (boundary) {
+			words.push(word);
+			word = '';
+		}
+		word += character;
+	}
+	if (word) words.push(word);
+	return words;
+}
+
+String._capitalize = function (word) {
+	return word.charAt(0).toUpperCase() + word.substr(1).toLowerCase();
+}
+
+/**
+ * @desc Replaces accented letters and other non-ASCII characters with their 
+ * closest ASCII equivalent: ``é`` becomes ``e``, ``ß`` becomes ``ss``, 
+ * curly quotes become straight quotes. Characters that have no equivalent 
+ * are left alone.
+ * @returns {String}
+ *
+ * @example
+ *     > "Zoë Müller".transliterate();
+ *     "Zoe Muller"
+ */
+
+String.prototype.transliterate = function () {
+	// strip combining diacritics, the ones that come after the letter they apply to
+	return this.replace(/[\u0300-\u036F]/g, '').replace(/[^\u0000-\u007F]/g, function (character) {
+		return String._ascii.hasOwnProperty(character) ? String._ascii[character] : character;
+	});
+}
+
+/**
+ * @desc Converts a string to ``snake_case``, splitting it into words at spaces, 
+ * punctuation and changes in case.
+ * @returns {String}
+ *
+ * @example
+ *     > "XMLHttpRequest".snake_case();
+ *     "xml_http_request"
+ */
+
+String.prototype.snake_case = function () {
+	return String._words(this).map(function (word) {
+		return word.toLowerCase();
+	}).join('_');
+}
+
+/**
+ * @desc Converts a string to ``camelCase``.
+ * @returns {String}
+ *
+ * @example
+ *     > "page item count".camel_case();
+ *     "pageItemCount"
+ */
+
+String.prototype.camel_case = function () {
+	return String._words(this).map(function (word, i) {
+		return i ? String._capitalize(word) : word.toLowerCase();
+	}).join('');
+}
+
+/**
+ * @desc Converts a string to ``Title Case``: capitalizes the first letter of every word. 
+ * Unlike :func:`String#snake_case` and :func:`String#camel_case`, this keeps spaces, 
+ * punctuation and the case of the rest of each word, so names like ``McDonald`` survive.
+ * @returns {String}
+ *
+ * @example
+ *     > "the lord of the rings".title_case();
+ *     "The Lord Of The Rings"
+ */
+
+String.prototype.title_case = function () {
+	var str = this;
+	var titled = '';
+	for (var i = 0; i < str.length; i++) {
+		var character = str.charAt(i);
+		var previous = str.charAt(i - 1);
+		var starts_word = String._is_word_character(character) && !(i && (String._is_word_character(previous) || previous == "'" || previous == '’'));
+		titled += starts_word ? character.toUpperCase() : character;
+	}
+	return titled;
+}
+
+/**
+ * @desc Shortens a string to a maximum length, ending it with an ellipsis 
+ * if anything had to go.
+ * @param {Number} [length] The maximum length, including the ellipsis. 
+ *     Without a length, or with a length of zero, the string is left as it is.
+ * @param {String} [ellipsis="…"]
+ * @returns {String}
+ *
+ * @example
+ *     > "Extendables makes scripting fun".truncate(16);
+ *     "Extendables mak…"
+ */
+
+String.prototype.truncate = function (length, ellipsis) {
+	var ellipsis = ellipsis === undefined ? '…' : ellipsis;
+	if (!length || this.length <= length) return this.valueOf();
+	return this.substr(0, Math.max(length - ellipsis.length, 0)).rtrim() + ellipsis;
+}
+
+/**
+ * @desc Pads a string to a minimum width.
+ * @param {Number} width
+ * @param {String} [fill=" "] A single character.
+ * @param {String} [align="<"] Where the string goes: ``<`` (left, padding on the right), 
+ *     ``>`` (right) or ``^`` (centered), just like in :func:`String.format_value`.
+ * @returns {String}
+ *
+ * @example
+ *     > "7".pad(3, "0", ">");
+ *     "007"
+ */
+
+String.prototype.pad = function (width, fill, align) {
+	return String.format_value(this.valueOf(), (fill || ' ') + (align || '<') + width + 's');
+}
+
+/**
+ * @desc Wraps text so no line is longer than a given width, breaking lines 
+ * between words. Existing line breaks are kept. Words that are longer 
+ * than the width get a line of their own.
+ * @param {Number} width
+ * @param {String} [eol="\n"] The line ending to use.
+ * @returns {String}
+ */
+
+String.prototype.word_wrap = function (width, eol) {
+	var eol = eol || "\n";
+	return this.split(/\r\n|\r|\n/).map(function (paragraph) {
+		var lines = [];
+		var line = '';
+		paragraph.split(/\s+/).forEach(function (word) {
+			if (!word) return;
+			if (line && line.length + 1 + word.length > width) {
+				lines.push(line);
+				line = word;
+			} else {
+				line = line ? line + ' ' + word : word;
+			}
+		});
+		lines.push(line);
+		return lines.join(eol);
+	}).join(eol);
+}
+
+/**
+ * @desc Removes whitespace that every line of the string starts with, 
+ * like Python's ``textwrap.dedent``. Handy for multiline strings in indented code. 
+ * Lines that only contain whitespace are ignored when figuring out the indentation.
+ * @returns {String}
+ *
+ * @example
+ *     > "    if (x) {\n        y();\n    }".dedent();
+ *     "if (x) {\n    y();\n}"
+ */
+
+String.prototype.dedent = function () {
+	var lines = this.split("\n");
+	var indentation = null;
+	lines.forEach(function (line) {
+		if (!line.match(/\S/)) return;
+		var whitespace = line.match(/^[ \t]*/)[0];
+		if (indentation === null) {
+			indentation = whitespace;
+		} else {
+			while (whitespace.substr(0, indentation.length) != indentation) {
+				indentation = indentation.slice(0, -1);
+			}
+		}
+	});
+	if (!indentation) return this.valueOf();
+	return lines.map(function (line) {
+		return line.substr(0, indentation.length) == indentation ? line.substr(indentation.length) : line.replace(/^[ \t]+$/, '');
+	}).join("\n");
+}
+
+/**
+ * @desc Repeats a string.
+ * @param {Number} times
+ * @param {String} [separator=""] What goes in between the repetitions.
+ * @returns {String}
+ *
+ * @example
+ *     > "ab".repeat(3, "-");
+ *     "ab-ab-ab"
+ */
+
+String.prototype.repeat = function (times, separator) {
+	if (times < 0 || times == Infinity) {
+		throw new RangeError("Can't repeat a string {} times".format(times));
+	}
+	var repeated = [];
+	for (var i = 0; i < Math.floor(times); i++) repeated.push(this.valueOf());
+	return repeated.join(separator || '');
+}
+
+/**
+ * @desc Counts the words in a string. A word is anything between whitespace 
+ * that has at least one letter or digit in it, so dashes and bullets don't count.
+ * @returns {Number}
+ *
+ * @example
+ *     > "Zoë Müller's cat — a tabby".count_words();
+ *     5
+ */
+
+String.prototype.count_words = function () {
+	return this.split(/\s+/).filter(function (word) {
+		for (var i = 0; i < word.length; i++) {
+			if (String._is_word_character(word.charAt(i))) return true;
+		}
+		return false;
+	}).length;
 }
\ No newline at end of file
@@ -1,13 +1,35 @@
-﻿var settings = {};
+﻿// Settings files only need to contain the settings they change: a settings.jsx 
+// file in the folder that contains Extendables (for project-specific settings) or in 
+// Extendables in your user data folder (for user settings) overrides these defaults.
+var settings = {};
 
 /* configuration */
 $.level = 0;
 $.strict = false;
 
 /* extendables settings */
-settings.package_directories = ['./core-packages', './site-packages'];
+// Where to look for packages, in order of precedence. Paths that start 
+// with a dot are relative to the Extendables folder. Folders in the 
+// EXTENDABLES_PATH environment variable come before all of these.
+settings.package_directories = [
+	// your own packages, and your personal overrides of shared packages
+	new Folder("Extendables/site-packages").at(Folder.userData),
+	// packages for the project that uses Extendables
+	new Folder("site-packages").at(Folder.extendables.parent),
+	'./site-packages',
+	'./core-packages'
+	];
+// when false, a circular chain of require calls raises an ImportError
+// instead of returning the partially loaded module
+settings.allow_circular_imports = true;
+// when true, a module that throws an error while loading makes require raise an 
+// ImportError; otherwise the error gets logged and you get a partly loaded module
+settings.strict_imports = false;
+// when true, packages whose manifest lists dependencies or host apps that aren't 
+// available refuse to load; otherwise we just log a warning
+settings.strict_dependencies = false;
 
 /* module settings */
-// don't log debug messages, but do log everything else
-settings.LOGGING_LOG_LEVEL = 4; 
-settings.LOGGING_FOLDER = new Folder("log").at(Folder.extendables);
\ No newline at end of file
+// Packages declare their own settings and defaults in their package.json manifest, 
+// but you can override them here, e.g.
+// settings.LOGGING_LOG_LEVEL = 5;
\ No newline at end of file
@@ -15,7 +15,15 @@ function require () {
 }
 var module = {
 	'id': 'testing',
-	'uri': new File("core-packages/testing/lib/index.jsx").at(Folder.extendables)
+	'uri': new File("core-packages/testing/lib/index.jsx").at(Folder.extendables),
+	'resource': function (path) {
+		var file = new File(path).at("core-packages/testing").at(Folder.extendables);
+		file.encoding = "UTF-8";
+		file.open("r");
+		var contents = file.read();
+		file.close();
+		return contents;
+	}
 }
 
 #include "../core-packages/testing/lib/index.jsx"
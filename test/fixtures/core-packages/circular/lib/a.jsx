@@ -0,0 +1,3 @@
+﻿exports.before = "defined before requiring circular/b";
+exports.b = require("circular/b");
+exports.after = "defined after requiring circular/b";
\ No newline at end of file
@@ -0,0 +1,4 @@
+﻿var a = require("circular/a");
+
+exports.a_before = a.before;
+exports.a_after = a.after;
\ No newline at end of file
@@ -0,0 +1 @@
+﻿exports.a = require("circular/a");
\ No newline at end of file
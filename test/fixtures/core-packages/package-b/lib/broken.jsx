@@ -0,0 +1,3 @@
+﻿exports.before = "defined before the error";
+this_function_does_not_exist();
+exports.after = "defined after the error";
\ No newline at end of file
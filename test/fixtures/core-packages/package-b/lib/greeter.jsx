@@ -0,0 +1,5 @@
+﻿module.exports = function Greeter (name) {
+	this.greet = function () {
+		return module.resource("resources/greeting.txt").format(name);
+	}
+}
\ No newline at end of file
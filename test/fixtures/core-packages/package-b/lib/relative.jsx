@@ -0,0 +1,3 @@
+﻿exports.real = require("./real");
+exports.subpackage = require("./subpackage");
+exports.package_a = require("../package-a");
\ No newline at end of file
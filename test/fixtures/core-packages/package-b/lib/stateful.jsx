@@ -0,0 +1,2 @@
+﻿// module state should survive across require calls
+exports.counter = 0;
\ No newline at end of file
@@ -0,0 +1,2 @@
+﻿exports.parent = require("../real");
+exports.sibling = require("./index");
\ No newline at end of file
@@ -0,0 +1 @@
+﻿exports.this_is = "A package with unmet dependencies";
\ No newline at end of file
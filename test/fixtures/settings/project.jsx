@@ -0,0 +1,3 @@
+﻿settings.strict_imports = true;
+settings.LOGGING_LOG_LEVEL = 5;
+settings.LOGGING_FOLDER = "./test/fixtures";
\ No newline at end of file
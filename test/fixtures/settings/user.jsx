@@ -0,0 +1,2 @@
+﻿settings.LOGGING_LOG_LEVEL = "DEBUG";
+settings.FAVOURITE_COLOUR = "blue";
\ No newline at end of file
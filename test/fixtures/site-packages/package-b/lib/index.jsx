@@ -0,0 +1 @@
+﻿exports.this_is = "Package B override";
\ No newline at end of file
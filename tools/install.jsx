@@ -0,0 +1,15 @@
+﻿#include "../extendables.jsx"
+
+// Installs a package into extendables/site-packages.
+var installer = require("installer");
+var source = File.openDialog("Pick a zipped package, or cancel to pick a package folder instead.", "*.zip") || 
+	Folder.selectDialog("Pick a package folder.");
+
+if (source) {
+	try {
+		var pkg = installer.install(source, {'upgrade': confirm("Replace the package if it is already installed?")});
+		alert("Installed {} {}.".format(pkg.name, pkg.version || ""));
+	} catch (error) {
+		alert(error.description || error);
+	}
+}
\ No newline at end of file
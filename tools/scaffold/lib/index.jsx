@@ -17,7 +17,9 @@
  *
  * __core__.jsx serves as the main module. You may add other files in this directory.
  * They will be available as submodules, and can be accessed using e.g.
- * ``require("thismodule/submod")``
+ * ``require("thismodule/submod")``. From within this module, 
+ * ``require("./submod")`` works too, so you don't have to repeat
+ * the name of your package everywhere.
  *
  * Note that modules may require other modules as well as submodules, 
  * so avoid using #include wherever possible.